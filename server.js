@@ -11,7 +11,7 @@ const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
 
 const app = express();
-const PORT = 5055;
+const PORT = Number(process.env.PORT || 5055);
 // ---- CORS CONFIG (REQUIRED FOR TAILSCALE + IP ACCESS) ----
 const ALLOWED_ORIGINS = new Set([
   "http://100.102.148.122:5055",
@@ -111,9 +111,27 @@ try {
 const VOICE_MODEL =
   process.env.VOICE_MODEL_PATH || path.join(TTS_MODEL_DIR, "en_US-lessac-medium.onnx");
 
+// Fallback TTS engines. A location tries its backends in order (locations.tts_backends,
+// else TTS_BACKENDS) until one produces audio.
+const ESPEAK_BIN = process.env.ESPEAK_BIN || "espeak-ng";
+// Pre-recorded announcements: <slug of the text>.wav, optionally under a language folder (es/...).
+const TTS_LIBRARY_DIR = process.env.TTS_LIBRARY_DIR
+  ? path.resolve(process.env.TTS_LIBRARY_DIR)
+  : path.join(ASSETS_DIR, "tts_library");
+const DEFAULT_TTS_BACKENDS = String(process.env.TTS_BACKENDS || "piper,espeak-ng")
+  .split(",").map((b) => b.trim()).filter(Boolean);
+
 const TTS_OUT_DIR = resolveDir(process.env.TTS_OUT_DIR, ["runtime/tts_out", "tts_out"], "tts_out");
-const TTS_OUT_WAV = path.join(TTS_OUT_DIR, "last.wav");
+// Content-addressed WAVs (hash of text + voice settings) so repeats skip synthesis.
+const TTS_CACHE_DIR = path.join(TTS_OUT_DIR, "cache");
+const TTS_CACHE_MAX_BYTES = Math.max(1, Number(process.env.TTS_CACHE_MAX_MB || 256)) * 1024 * 1024;
 const PING_WAV = path.join(TTS_OUT_DIR, "ping.wav");
+const CLIPS_DIR = process.env.AUDIO_CLIPS_DIR
+  ? path.resolve(process.env.AUDIO_CLIPS_DIR)
+  : path.join(ASSETS_DIR, "clips");
+const CLIP_MAX_BYTES = Math.max(1, Number(process.env.AUDIO_CLIP_MAX_MB || 10)) * 1024 * 1024;
+// Used only to transcode rendered WAVs for browsers (/api/tts/render?format=opus|mp3).
+const FFMPEG_BIN = process.env.FFMPEG_BIN || "ffmpeg";
 
 // -------------------- Middleware --------------------
 app.use(express.json({ limit: '10mb' }));
@@ -125,6 +143,8 @@ app.use(express.static(PUBLIC_DIR));
 app.get("/", (req, res) => res.sendFile(path.join(PUBLIC_DIR, "index.html")));
 
 if (!fs.existsSync(TTS_OUT_DIR)) fs.mkdirSync(TTS_OUT_DIR, { recursive: true });
+if (!fs.existsSync(TTS_CACHE_DIR)) fs.mkdirSync(TTS_CACHE_DIR, { recursive: true });
+if (!fs.existsSync(CLIPS_DIR)) fs.mkdirSync(CLIPS_DIR, { recursive: true });
 if (!fs.existsSync(EXPORT_DIR)) fs.mkdirSync(EXPORT_DIR, { recursive: true });
 if (!fs.existsSync(SCHEDULE_DIR)) fs.mkdirSync(SCHEDULE_DIR, { recursive: true });
 if (!fs.existsSync(MANAGER_REPORTS_DIR)) fs.mkdirSync(MANAGER_REPORTS_DIR, { recursive: true });
@@ -210,7 +230,14 @@ function ensureSchema() {
       zone_override_at TEXT,
       zone_override_by TEXT,
 
-      PRIMARY KEY(date, start_time, swimmer_name)
+      location_id INTEGER NOT NULL DEFAULT 1,
+      substitute_instructor TEXT,
+      is_substitute INTEGER DEFAULT 0,
+      original_instructor TEXT,
+      balance_amount REAL DEFAULT NULL,
+      flags_overridden INTEGER DEFAULT 0,
+
+      PRIMARY KEY(location_id, date, start_time, swimmer_name)
     );
   `);
 
@@ -235,10 +262,108 @@ function ensureSchema() {
       template TEXT NOT NULL,
       enabled INTEGER DEFAULT 1,
       cooldown_seconds INTEGER DEFAULT 20,
+      zones TEXT,
+      offset_minutes INTEGER,
+      voice_key TEXT,
+      speaker INTEGER,
+      length_scale REAL,
+      noise_scale REAL,
+      noise_w REAL,
       updated_at TEXT NOT NULL
     );
   `);
 
+  const tplCols = db.prepare(`PRAGMA table_info(announcement_templates)`).all().map((r) => r.name);
+  if (!tplCols.includes("zones")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN zones TEXT;`);
+  // Minutes relative to each block's start time; NULL means the template is never fired automatically.
+  if (!tplCols.includes("offset_minutes")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN offset_minutes INTEGER;`);
+  // Per-template Piper voice and tuning; NULL falls back to the voice's own settings.
+  if (!tplCols.includes("voice_key")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN voice_key TEXT;`);
+  if (!tplCols.includes("speaker")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN speaker INTEGER;`);
+  if (!tplCols.includes("length_scale")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN length_scale REAL;`);
+  if (!tplCols.includes("noise_scale")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN noise_scale REAL;`);
+  if (!tplCols.includes("noise_w")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN noise_w REAL;`);
+  // Sound before the message: NULL/"ping" = ping.wav, "none", or an audio_clips key.
+  if (!tplCols.includes("lead_in")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN lead_in TEXT;`);
+  if (!tplCols.includes("lead_in_delay_ms")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN lead_in_delay_ms INTEGER;`);
+  // Percentage points added to the location's volume for this template (e.g. -20 for routine notices).
+  if (!tplCols.includes("volume_offset")) db.exec(`ALTER TABLE announcement_templates ADD COLUMN volume_offset INTEGER;`);
+
+  // Uploaded sounds (chimes, whistle, recorded greetings) stored as CLIPS_DIR/<clip_key>.wav.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audio_clips (
+      clip_key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      bytes INTEGER,
+      duration_ms INTEGER,
+      sample_rate INTEGER,
+      channels INTEGER,
+      uploaded_by TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `);
+
+  // Pronunciation lexicon: how a name should be spoken. A row with neither respelling nor
+  // phonemes marks the name as reviewed (the default voice says it fine).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pronunciations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      term TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      respelling TEXT,
+      phonemes TEXT,
+      updated_by TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `);
+
+  // Translations of a template; the base template text is the DEFAULT_ANNOUNCEMENT_LANGUAGE version.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS announcement_template_variants (
+      template_key TEXT NOT NULL,
+      language TEXT NOT NULL,
+      template TEXT NOT NULL,
+      updated_at TEXT,
+      PRIMARY KEY(template_key, language)
+    );
+  `);
+
+  // Piper voices. model_path is relative to TTS_MODEL_DIR; NULL means VOICE_MODEL.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tts_voices (
+      voice_key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      language TEXT NOT NULL,
+      model_path TEXT,
+      speaker INTEGER,
+      length_scale REAL,
+      noise_scale REAL,
+      noise_w REAL,
+      updated_at TEXT
+    );
+  `);
+  const seedVoice = db.prepare(`
+    INSERT INTO tts_voices (voice_key, name, language, model_path, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(voice_key) DO NOTHING
+  `);
+  seedVoice.run("en", "English (Lessac)", "en", null, nowISO());
+  seedVoice.run("es", "Spanish (Ald)", "es", "es_MX-ald-medium.onnx", nowISO());
+
+  // Named audio outputs per location (lobby, deck, locker room...), each an ALSA device.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audio_zones (
+      location_id INTEGER NOT NULL,
+      zone_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      alsa_device TEXT,
+      enabled INTEGER DEFAULT 1,
+      updated_at TEXT,
+      PRIMARY KEY(location_id, zone_key)
+    );
+  `);
+
   // Seed default announcement templates (only if missing)
   const nowSeed = nowISO();
   const upsertTpl = db.prepare(`
@@ -287,6 +412,193 @@ upsertTpl.run(
     nowSeed
   );
   db.exec(`CREATE TABLE IF NOT EXISTS app_state (key TEXT PRIMARY KEY, value TEXT);`);
+
+  // Auto-announcer stages per block. Seeded once so edited offsets are never reset;
+  // the extra stages start disabled so existing sites keep their current announcements.
+  const stagesSeeded = db.prepare(`SELECT value FROM app_state WHERE key = ?`).get("templateStagesSeeded");
+  if (!stagesSeeded) {
+    const insertStage = db.prepare(`
+      INSERT INTO announcement_templates (key, name, template, enabled, cooldown_seconds, offset_minutes, updated_at)
+      VALUES (?, ?, ?, 0, 240, ?, ?)
+      ON CONFLICT(key) DO NOTHING
+    `);
+    insertStage.run(
+      "AUTO_GET_READY",
+      "Auto: get ready (5 minutes before)",
+      "Parents and Guardians, the {time12} classes begin in {minutes} minutes. Please get your swimmers ready.",
+      -5,
+      nowSeed
+    );
+    insertStage.run(
+      "AUTO_BLOCK_ENDING",
+      "Auto: 5 minutes left",
+      "The {time12} classes have 5 minutes left. Parents and Guardians, please make your way to the pool deck.",
+      25,
+      nowSeed
+    );
+    const setOffset = db.prepare(`UPDATE announcement_templates SET offset_minutes = ? WHERE key = ? AND offset_minutes IS NULL`);
+    setOffset.run(-3, "AUTO_TIME_BLOCK");
+    setOffset.run(0, "AUTO_CLASS_START");
+    db.prepare(`INSERT INTO app_state(key, value) VALUES(?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value`)
+      .run("templateStagesSeeded", nowSeed);
+  }
+  // One row per announcement request: played, skipped (deduped) or failed.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS announcement_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER,
+      text TEXT NOT NULL,
+      template_key TEXT,
+      source TEXT NOT NULL,
+      triggered_by TEXT,
+      ip TEXT,
+      status TEXT NOT NULL,
+      skip_reason TEXT,
+      zones TEXT,
+      synth_ms INTEGER,
+      play_ms INTEGER,
+      cached INTEGER,
+      error TEXT,
+      replay_of INTEGER,
+      priority TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  const historyCols = db.prepare(`PRAGMA table_info(announcement_history)`).all().map((r) => r.name);
+  if (!historyCols.includes("priority")) db.exec(`ALTER TABLE announcement_history ADD COLUMN priority TEXT;`);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS emergency_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      preset_key TEXT NOT NULL,
+      text TEXT NOT NULL,
+      repeat_seconds INTEGER NOT NULL,
+      repeat_count INTEGER DEFAULT 0,
+      triggered_by TEXT,
+      started_at TEXT NOT NULL,
+      safety_issue_date TEXT,
+      safety_issue_start_time TEXT,
+      acknowledged_at TEXT,
+      acknowledged_by TEXT
+    );
+  `);
+  // Quiet hours: recurring (days_of_week + local HH:MM range, may wrap midnight),
+  // one-off (starts_at/ends_at as UTC ISO) and "mute" (one-off created by deck staff).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quiet_windows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'recurring',
+      mode TEXT NOT NULL DEFAULT 'suppress',
+      days_of_week TEXT,
+      start_time TEXT,
+      end_time TEXT,
+      starts_at TEXT,
+      ends_at TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_by TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `);
+  // Call-parent pages: spoken, repeated until the front desk acknowledges, closed when the parent arrives.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS parent_pages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      swimmer_name TEXT NOT NULL,
+      date TEXT,
+      start_time TEXT,
+      instructor_name TEXT,
+      zones TEXT,
+      text TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      repeat_seconds INTEGER NOT NULL,
+      repeat_count INTEGER DEFAULT 0,
+      escalated_at TEXT,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      acknowledged_at TEXT,
+      acknowledged_by TEXT,
+      closed_at TEXT,
+      closed_by TEXT,
+      response_seconds INTEGER
+    );
+  `);
+
+  // Roster snapshots taken before each upload, import, clear or rollback, for rollback.
+  // date_end NULL means "from date_start on".
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roster_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      date_start TEXT NOT NULL,
+      date_end TEXT,
+      source_file TEXT,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      rows_before INTEGER DEFAULT 0,
+      rows_after INTEGER DEFAULT 0,
+      summary TEXT,
+      rows_json TEXT NOT NULL
+    );
+  `);
+
+  // Roll sheets seen in each location's schedule folder (see the folder watcher).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roster_watch_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      size INTEGER,
+      mtime_ms INTEGER,
+      sha TEXT,
+      status TEXT NOT NULL,
+      mode TEXT,
+      count INTEGER,
+      result TEXT,
+      error TEXT,
+      version_id INTEGER,
+      created_at TEXT NOT NULL
+    );
+  `);
+
+  // Announcement volume by time of day (percent, replaces the location's base volume).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS volume_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      name TEXT,
+      days_of_week TEXT,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      volume INTEGER NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_announcements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      location_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      text TEXT,
+      template_key TEXT,
+      schedule_type TEXT NOT NULL DEFAULT 'recurring',
+      days_of_week TEXT,
+      time_of_day TEXT,
+      anchor TEXT DEFAULT 'time',
+      offset_minutes INTEGER DEFAULT 0,
+      run_at TEXT,
+      zones TEXT,
+      enabled INTEGER DEFAULT 1,
+      last_fired_at TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `);
   db.exec(`
     CREATE TABLE IF NOT EXISTS trial_followups (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -415,10 +727,22 @@ upsertTpl.run(
       name TEXT NOT NULL,
       has_announcements INTEGER DEFAULT 0,
       brand TEXT DEFAULT 'swimlabs',
-      active INTEGER DEFAULT 1
+      active INTEGER DEFAULT 1,
+      time_zone TEXT,
+      announcement_voices TEXT
     );
   `);
 
+  const locCols = db.prepare(`PRAGMA table_info(locations)`).all().map((r) => r.name);
+  if (!locCols.includes("time_zone")) db.exec(`ALTER TABLE locations ADD COLUMN time_zone TEXT;`);
+  // JSON array of tts_voices keys spoken in order, e.g. ["en","es"]; NULL = default voice only.
+  if (!locCols.includes("announcement_voices")) db.exec(`ALTER TABLE locations ADD COLUMN announcement_voices TEXT;`);
+  if (!locCols.includes("tts_backends")) db.exec(`ALTER TABLE locations ADD COLUMN tts_backends TEXT;`);
+  // Base announcement volume (percent, NULL = 100) and the amixer control of background music to duck.
+  if (!locCols.includes("announcement_volume")) db.exec(`ALTER TABLE locations ADD COLUMN announcement_volume INTEGER;`);
+  if (!locCols.includes("duck_control")) db.exec(`ALTER TABLE locations ADD COLUMN duck_control TEXT;`);
+  if (!locCols.includes("duck_volume")) db.exec(`ALTER TABLE locations ADD COLUMN duck_volume INTEGER;`);
+
   // Insert default locations if table is empty
   const locCount = db.prepare(`SELECT COUNT(*) as c FROM locations`).get();
   if (locCount.c === 0) {
@@ -458,8 +782,11 @@ upsertTpl.run(
   addIfMissing("is_substitute", `ALTER TABLE roster ADD COLUMN is_substitute INTEGER DEFAULT 0;`);
   addIfMissing("original_instructor", `ALTER TABLE roster ADD COLUMN original_instructor TEXT;`);
   addIfMissing("balance_amount", `ALTER TABLE roster ADD COLUMN balance_amount REAL DEFAULT NULL;`);
+  // Set when staff edit flags by hand, so a merge re-import keeps their edit.
+  addIfMissing("flags_overridden", `ALTER TABLE roster ADD COLUMN flags_overridden INTEGER DEFAULT 0;`);
 
-  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS uq_roster_key ON roster(date, start_time, swimmer_name);`);
+  migrateRosterKeyToLocation();
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS uq_roster_key ON roster(location_id, date, start_time, swimmer_name);`);
   db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS uq_trial_followup ON trial_followups(swimmer_name, location_id);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_roster_date_time ON roster(date, start_time);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_at ON audit_log(at);`);
@@ -469,9 +796,46 @@ upsertTpl.run(
   db.exec(`CREATE INDEX IF NOT EXISTS idx_guard_task_history ON guard_task_history(location_id, task_date, saved_at);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_activity_log ON activity_log(created_at);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_observations_location_date ON observations(location_id, date);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_scheduled_announcements_location ON scheduled_announcements(location_id, enabled);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_announcement_history_location ON announcement_history(location_id, created_at);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_volume_schedules_location ON volume_schedules(location_id);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_parent_pages_location ON parent_pages(location_id, status);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_roster_versions_location ON roster_versions(location_id, created_at);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_roster_watch_files ON roster_watch_files(location_id, filename);`);
 }
 ensureSchema();
 
+// The roster key used to be (date, start_time, swimmer_name), so the same swimmer name at
+// the same time at two locations overwrote each other. SQLite cannot change a primary key
+// in place: copy into a table keyed by location first, then swap it in.
+function migrateRosterKeyToLocation() {
+  const columns = db.prepare(`PRAGMA table_info(roster)`).all();
+  const staleIndex = db.prepare(`PRAGMA index_info(uq_roster_key)`).all();
+  if (staleIndex.length && !staleIndex.some((c) => c.name === "location_id")) db.exec(`DROP INDEX uq_roster_key;`);
+  if (columns.some((c) => c.name === "location_id" && c.pk > 0)) return;
+
+  const names = columns.map((c) => c.name);
+  const select = names.map((n) => (n === "location_id" ? "COALESCE(location_id, 1)" : n)).join(", ");
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE roster_migrated (
+        ${columns.map((c) => `${c.name} ${c.type}${c.notnull || c.name === "location_id" ? " NOT NULL" : ""}${c.dflt_value !== null ? ` DEFAULT ${c.dflt_value}` : c.name === "location_id" ? " DEFAULT 1" : ""}`).join(",\n        ")},
+        PRIMARY KEY(location_id, date, start_time, swimmer_name)
+      );
+    `);
+    db.exec(`INSERT INTO roster_migrated (${names.join(", ")}) SELECT ${select} FROM roster;`);
+    db.exec(`DROP TABLE roster;`);
+    db.exec(`ALTER TABLE roster_migrated RENAME TO roster;`);
+  })();
+  console.log("[DB] Roster key migrated to (location_id, date, start_time, swimmer_name)");
+}
+
+// Roster writes must name their location: two sites can have the same swimmer at the same time.
+function parseLocationId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && getLocationById(id) ? id : null;
+}
+
 // -------------------- Lockout per IP --------------------
 const ipAuthState = new Map();
 
@@ -688,12 +1052,27 @@ function parseLocationFromHTML(html) {
   const stripped = String(html || "")
     .replace(/<script[\s\S]*?<\/script>/gi, " ")
     .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ");
-  const match = stripped.match(/Location\s*:\s*([A-Za-z0-9\s\-&]+)/i);
+    .replace(/<[^>]+>/g, " ");
+  return parseLocationFromText(stripped);
+}
+
+function parseLocationFromText(text) {
+  const match = String(text || "").replace(/\s+/g, " ").match(/Location\s*:\s*([A-Za-z0-9\s\-&]+)/i);
   return match && match[1] ? match[1].trim() : null;
 }
 
+// A known location named in a roll sheet: its "Location:" label, else any location name
+// that appears in the text.
+function detectRosterLocation(text) {
+  const label = parseLocationFromText(text);
+  const byLabel = label ? resolveLocationByName(label) : null;
+  if (byLabel) return byLabel;
+  const haystack = String(text || "").replace(/\s+/g, " ").toLowerCase();
+  const locations = db.prepare(`SELECT * FROM locations WHERE active = 1`).all()
+    .sort((a, b) => b.name.length - a.name.length);
+  return locations.find((loc) => haystack.includes(loc.name.toLowerCase())) || null;
+}
+
 function parseHTMLTable(html) {
   const $ = cheerio.load(html || "");
   const tables = $("table");
@@ -863,14 +1242,6 @@ function calculateBundle({ durationWeeks, monthlyPrice, startDate }) {
 }
 
 
-function todayRollSheetFilename() {
-  const d = new Date();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  const yyyy = d.getFullYear();
-  return `Roll_Sheets_${mm}-${dd}-${yyyy}.pdf`;
-}
-
 function normalizeWhitespaceLines(text) {
   return text
     .split("\n")
@@ -1171,9 +1542,11 @@ function detectFlags(contextText) {
 }
 
 // -------------------- PDF extraction --------------------
-function pdftotextToString(pdfPath) {
+// input is a file path or a Buffer (piped to pdftotext on stdin).
+function pdftotextToString(input) {
   return new Promise((resolve, reject) => {
-    const proc = spawn("pdftotext", ["-layout", pdfPath, "-"]);
+    const fromBuffer = Buffer.isBuffer(input);
+    const proc = spawn("pdftotext", ["-layout", fromBuffer ? "-" : input, "-"]);
     let out = "";
     let err = "";
 
@@ -1184,29 +1557,56 @@ function pdftotextToString(pdfPath) {
       if (code !== 0) return reject(new Error(`pdftotext failed (code ${code}): ${err || "unknown error"}`));
       resolve(out);
     });
+    if (fromBuffer) {
+      proc.stdin.on("error", () => {});
+      proc.stdin.end(input);
+    }
   });
 }
 
-async function getTodayPdfText() {
-  const filename = todayRollSheetFilename();
-  const fullPath = path.join(SCHEDULE_DIR, filename);
-
-  if (!fs.existsSync(fullPath)) {
-    return { ok: false, error: "PDF not found", filename, fullPath };
+// pdf-parse (pure JS) is only loaded when pdftotext is not installed.
+async function pdfParseToString(buffer) {
+  const { PDFParse } = require("pdf-parse");
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    return result.text || "";
+  } finally {
+    await parser.destroy();
   }
+}
 
+// Text of a PDF roll sheet: pdftotext -layout, or pdf-parse when pdftotext is missing.
+async function extractPdfText(buffer) {
   try {
-    const text = await pdftotextToString(fullPath);
-    return { ok: true, method: "pdftotext", filename, fullPath, text };
+    return { method: "pdftotext", text: await pdftotextToString(buffer) };
   } catch (e) {
-    return {
-      ok: false,
-      error: "Failed to read PDF via pdftotext",
-      filename,
-      fullPath,
-      details: String(e?.stack || e?.message || e),
-    };
+    if (e?.code !== "ENOENT") throw e;
   }
+  return { method: "pdf-parse", text: await pdfParseToString(buffer) };
+}
+
+function rollSheetPdfFilename(date) {
+  return `Roll_Sheets_${date.slice(5, 7)}-${date.slice(8, 10)}-${date.slice(0, 4)}.pdf`;
+}
+
+// Roll sheets for a date: the location's schedule folder first (uploads and the folder
+// watcher use it), then the shared SCHEDULE_DIR root where they used to be dropped.
+function findRollSheets(location, date) {
+  const dirs = location ? [getScheduleDir(location), SCHEDULE_DIR] : [SCHEDULE_DIR];
+  const tag = location ? getLocationFileTag(location) : null;
+  const pdfNames = [tag && `roll_sheet_${tag}_${date}.pdf`, rollSheetPdfFilename(date)].filter(Boolean);
+  const htmlNames = [tag && `roll_sheet_${tag}_${date}.html`, "Roll Sheets.html"].filter(Boolean);
+  const find = (names) => {
+    for (const dir of dirs) {
+      for (const name of names) {
+        const fullPath = path.join(dir, name);
+        if (fs.existsSync(fullPath)) return { filename: name, fullPath, size: fs.statSync(fullPath).size };
+      }
+    }
+    return null;
+  };
+  return { expectedPdf: pdfNames[0], pdf: find(pdfNames), html: find(htmlNames) };
 }
 
 // -------------------- Parse roster lines --------------------
@@ -1348,156 +1748,1726 @@ function parseRosterFromLines(lines) {
 }
 
 // -------------------- Audio helpers --------------------
-function playWav(wavPath) {
+// device = ALSA device name (e.g. "plughw:1,0"); null plays on the default device.
+// Aborting `signal` kills the aplay child (used to cut off a message for an emergency).
+// A device that fails (unplugged USB speaker) is recorded for /api/announcer/health but
+// does not fail the announcement on the other zones.
+function playWav(wavPath, device = null, signal = undefined) {
   return new Promise((resolve, reject) => {
-    const player = spawn("aplay", [wavPath]);
-    player.on("error", reject);
-    player.on("close", () => resolve());
+    const args = device ? ["-D", device, wavPath] : [wavPath];
+    const player = spawn("aplay", args, { signal });
+    let err = "";
+    player.stderr?.on("data", (d) => (err += d.toString("utf8")));
+    player.on("error", (e) => {
+      if (!signal?.aborted) recordAudioFailure("playback", e, { device });
+      reject(e);
+    });
+    player.on("close", (code) => {
+      if (code && !signal?.aborted) recordAudioFailure("playback", `aplay failed (${code}): ${err.trim() || "unknown error"}`, { device });
+      resolve();
+    });
   });
 }
 
-function playPing() {
+// Plays the same file on every device at once; resolves when all have finished.
+// A gain other than 1 plays a scaled copy that is removed afterwards.
+async function playWavOnDevices(wavPath, devices = [null], signal = undefined, gain = 1) {
+  const file = gain === 1 ? wavPath : writeGainedWav(wavPath, gain);
+  try {
+    await Promise.all(devices.map((device) => playWav(file, device, signal)));
+  } finally {
+    if (file !== wavPath) fs.unlink(file, () => {});
+  }
+}
+
+// Lead-in sounds never fail an announcement.
+function playPing(devices = [null], signal = undefined, wavPath = PING_WAV, gain = 1) {
   return new Promise((resolve) => {
-    if (!fs.existsSync(PING_WAV)) return resolve();
-    playWav(PING_WAV).then(resolve).catch(() => resolve());
+    if (!fs.existsSync(wavPath)) return resolve();
+    playWavOnDevices(wavPath, devices, signal, gain).then(resolve).catch(() => resolve());
   });
 }
 
-let speakQueue = Promise.resolve();
-let lastAnnouncement = { text: null, at: null };
+// -------------------- Volume & ducking --------------------
+// "pcm" scales the samples of each WAV before aplay; "amixer" sets AMIXER_CONTROL for the
+// duration of the announcement instead (use when the output has a hardware mixer).
+const VOLUME_MODE = process.env.ANNOUNCE_VOLUME_MODE === "amixer" ? "amixer" : "pcm";
+const AMIXER_CONTROL = process.env.AMIXER_CONTROL || "Master";
+const AMIXER_CARD = process.env.AMIXER_CARD || null;
+const MAX_ANNOUNCEMENT_VOLUME = 200;
 
-function speakWithPiper(text) {
+function runAmixer(args) {
   return new Promise((resolve, reject) => {
-    if (!fs.existsSync(PIPER_BIN)) return reject(new Error(`Piper binary not found: ${PIPER_BIN}`));
-    if (!fs.existsSync(VOICE_MODEL)) return reject(new Error(`Voice model not found: ${VOICE_MODEL}`));
-
-    // Set LD_LIBRARY_PATH to include the piper directory for shared libraries
-    const piperDir = path.dirname(PIPER_BIN);
-    const env = {
-      ...process.env,
-      LD_LIBRARY_PATH: piperDir + (process.env.LD_LIBRARY_PATH ? `:${process.env.LD_LIBRARY_PATH}` : '')
-    };
-
-    const p = spawn(PIPER_BIN, ["--model", VOICE_MODEL, "--output_file", TTS_OUT_WAV], { env });
+    const full = AMIXER_CARD ? ["-c", AMIXER_CARD, ...args] : args;
+    const p = spawn("amixer", full);
+    let out = "";
     let err = "";
-
+    p.stdout.on("data", (d) => (out += d.toString("utf8")));
     p.stderr.on("data", (d) => (err += d.toString("utf8")));
-    p.on("error", (e) => reject(e));
+    p.on("error", reject);
+    p.on("close", (code) => (code === 0 ? resolve(out) : reject(new Error(`amixer failed (${code}): ${err || "unknown error"}`))));
+  });
+}
+async function getAmixerVolume(control) {
+  const out = await runAmixer(["sget", control]);
+  const m = out.match(/\[(\d+)%\]/);
+  return m ? Number(m[1]) : null;
+}
+function setAmixerVolume(control, percent) {
+  return runAmixer(["-q", "sset", control, `${Math.max(0, Math.min(100, Math.round(percent)))}%`]);
+}
 
-    p.stdin.write(text);
-    p.stdin.end();
+// Writes a copy of a 16-bit PCM WAV with every sample scaled (clipped at full scale).
+// Anything else is played as is.
+function writeGainedWav(wavPath, gain) {
+  const buf = fs.readFileSync(wavPath);
+  let fmt = null;
+  let dataOff = -1;
+  let dataLen = 0;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (id === "fmt ") fmt = parseWavFormat(buf.subarray(off + 8, off + 8 + size));
+    if (id === "data") {
+      dataOff = off + 8;
+      dataLen = Math.min(size, buf.length - dataOff);
+      break;
+    }
+    off += 8 + size + (size % 2);
+  }
+  if (!fmt?.pcm || fmt.bits !== 16 || dataOff < 0) return wavPath;
 
-    p.on("close", (code) => {
-      if (code !== 0) return reject(new Error(`piper failed (${code}): ${err || "unknown error"}`));
-      playWav(TTS_OUT_WAV).then(resolve).catch(reject);
-    });
-  });
+  const out = Buffer.from(buf);
+  for (let i = dataOff; i + 1 < dataOff + dataLen; i += 2) {
+    const v = Math.round(buf.readInt16LE(i) * gain);
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, v)), i);
+  }
+  const outPath = path.join(TTS_OUT_DIR, `gain-${process.pid}-${crypto.randomBytes(4).toString("hex")}.wav`);
+  fs.writeFileSync(outPath, out);
+  return outPath;
 }
 
-function speakAnnouncement(text, opts = {}) {
-  const cleaned = String(text || "").replace(/\s+/g, " ").trim();
-  if (!cleaned) return Promise.resolve({ ok: false, error: "empty text" });
+function formatVolumeSchedule(row) {
+  return row ? { ...row, days_of_week: parseDaysOfWeek(row.days_of_week) } : null;
+}
+function listVolumeSchedules(locationId) {
+  return db.prepare(`SELECT * FROM volume_schedules WHERE location_id = ? ORDER BY start_time, id`)
+    .all(Number(locationId || 1)).map(formatVolumeSchedule);
+}
 
-  const dedupeKey = String(opts.dedupeKey || cleaned);
-  const cooldownMs = Math.max(0, Number(opts.cooldownMs ?? 0));
-  const pingDelayMs = Math.max(0, Number(opts.pingDelayMs ?? 2000));
+// Base volume, replaced by an active time-of-day schedule, plus the template's offset.
+// Emergencies are never played below the location's base volume.
+function resolveAnnouncementVolume(locationId, templateKey = null, priority = "normal") {
+  const location = getLocationById(Number(locationId || 1));
+  const base = location?.announcement_volume ?? 100;
+  const schedule = location ? listVolumeSchedules(location.id).find((w) => isDailyWindowActive(w, location)) : null;
+  const tpl = templateKey ? getAnnouncementTemplate(templateKey) : null;
+  let volume = (schedule ? schedule.volume : base) + Number(tpl?.volume_offset || 0);
+  if (priority === "emergency") volume = Math.max(volume, base);
+  return {
+    volume: Math.max(0, Math.min(MAX_ANNOUNCEMENT_VOLUME, volume)),
+    base,
+    schedule: schedule || null,
+    offset: Number(tpl?.volume_offset || 0)
+  };
+}
 
-  // In-memory dedupe to prevent multi-device repeats
-  if (!global.__recentAnnounceMap) global.__recentAnnounceMap = new Map();
-  const m = global.__recentAnnounceMap;
+// Ducks the location's background music and (amixer mode) sets the announcement volume.
+// Returns a function that restores both. Mixer errors are logged, never fatal.
+async function prepareAnnouncementAudio(location, volume) {
+  const restores = [];
+  const adjust = async (control, percent) => {
+    try {
+      const previous = await getAmixerVolume(control);
+      await setAmixerVolume(control, percent);
+      if (previous !== null) restores.push(() => setAmixerVolume(control, previous));
+    } catch (e) {
+      console.warn(`[VOLUME] ${control}: ${e?.message || e}`);
+    }
+  };
+  if (location?.duck_control) await adjust(location.duck_control, location.duck_volume ?? 20);
+  if (VOLUME_MODE === "amixer") await adjust(AMIXER_CONTROL, Math.min(100, volume));
+  return async () => {
+    for (const restore of restores.reverse()) {
+      try { await restore(); } catch (e) { console.warn(`[VOLUME] restore failed: ${e?.message || e}`); }
+    }
+  };
+}
 
-  const now = Date.now();
-  if (cooldownMs > 0) {
-    const last = m.get(dedupeKey) || 0;
-    if ((now - last) < cooldownMs) {
-      return Promise.resolve({ ok: true, skipped: true, text: cleaned, at: nowISO() });
+// -------------------- Audio zones --------------------
+// Accepts ["deck","lobby"], "deck,lobby" or a JSON string; returns lowercased keys or null (= all zones).
+function normalizeZoneList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  let list = value;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch (_) {
+      list = list.split(",");
     }
-    m.set(dedupeKey, now);
   }
+  if (!Array.isArray(list)) list = [list];
+  const cleaned = Array.from(new Set(
+    list.map((z) => String(z ?? "").trim().toLowerCase()).filter(Boolean)
+  ));
+  return cleaned.length ? cleaned : null;
+}
 
-  speakQueue = speakQueue.then(async () => {
-    lastAnnouncement = { text: cleaned, at: nowISO() };
+function listAudioZones(locationId) {
+  return db.prepare(`
+    SELECT location_id, zone_key, name, alsa_device, enabled, updated_at
+    FROM audio_zones
+    WHERE location_id = ?
+    ORDER BY zone_key
+  `).all(Number(locationId || 1));
+}
 
-    // Beep first, then wait 2s, then speak (per your requirement)
-    await playPing();
-    await new Promise((r) => setTimeout(r, pingDelayMs));
+function resolveAudioZones(locationId, zones) {
+  const wanted = normalizeZoneList(zones);
+  const configured = listAudioZones(locationId);
+  const unknown = wanted ? wanted.filter((key) => !configured.some((z) => z.zone_key === key)) : [];
 
-    await speakWithPiper(cleaned);
-  });
+  // Nothing configured for this location: everything goes to the default device.
+  if (!configured.length) return { devices: [null], zones: [], unknown };
 
-  return speakQueue.then(() => ({ ok: true, text: cleaned, at: lastAnnouncement.at }));
+  // Template zones are shared across locations; when none of them exist here, play
+  // through this location's enabled zones instead of failing the announcement.
+  const fallback = !!wanted && unknown.length === wanted.length;
+  const selected = configured.filter((z) => z.enabled && (!wanted || fallback || wanted.includes(z.zone_key)));
+  const devices = Array.from(new Set(selected.map((z) => z.alsa_device || null)));
+  return { devices, zones: selected.map((z) => z.zone_key), unknown, fallback };
 }
 
+let lastAnnouncement = { text: null, at: null };
 
-function getAnnouncementTemplate(key) {
-  const row = db.prepare(`SELECT key, name, template, enabled, cooldown_seconds, updated_at FROM announcement_templates WHERE key = ?`).get(key);
-  return row || null;
+// Each location gets its own speak queue, dedupe map and last announcement so a
+// backlog (or a cooldown) at one site never delays or suppresses another site.
+const announcerStates = new Map();
+
+function getAnnouncerState(locationId) {
+  const key = Number(locationId || 1);
+  if (!announcerStates.has(key)) {
+    announcerStates.set(key, {
+      locationId: key,
+      pending: [],
+      current: null,
+      recent: new Map(),
+      lastAnnouncement: { text: null, at: null }
+    });
+  }
+  return announcerStates.get(key);
 }
-function listAnnouncementTemplates() {
-  return db.prepare(`SELECT key, name, template, enabled, cooldown_seconds, updated_at FROM announcement_templates ORDER BY key`).all();
+
+// -------------------- Speak queue --------------------
+// Lower rank plays first; equal ranks play in arrival order. An emergency item
+// aborts whatever non-emergency item is playing (killing its aplay children);
+// the cut-off item goes back in the queue and replays once the emergency is done.
+const ANNOUNCEMENT_PRIORITIES = { emergency: 0, high: 1, normal: 2, low: 3 };
+// Repeating emergencies would otherwise cut the same item off forever.
+const ANNOUNCEMENT_MAX_REPLAYS = 2;
+let announcementSeq = 0;
+
+function normalizeAnnouncementPriority(value) {
+  const p = String(value || "normal").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ANNOUNCEMENT_PRIORITIES, p) ? p : null;
 }
-function upsertAnnouncementTemplate({ key, name, template, enabled, cooldown_seconds }) {
-  const now = nowISO();
-  db.prepare(`
-    INSERT INTO announcement_templates (key, name, template, enabled, cooldown_seconds, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?)
-    ON CONFLICT(key) DO UPDATE SET
-      name=excluded.name,
-      template=excluded.template,
-      enabled=excluded.enabled,
-      cooldown_seconds=excluded.cooldown_seconds,
-      updated_at=excluded.updated_at
-  `).run(
-    String(key),
-    String(name || key),
-    String(template || ""),
-    enabled ? 1 : 0,
-    Number(cooldown_seconds ?? 20),
-    now
-  );
-  return getAnnouncementTemplate(key);
+
+function announcementQueueError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
 }
-function renderTemplate(tpl, vars = {}) {
-  const s = String(tpl || "");
-  return s.replace(/\{([a-zA-Z0-9_]+)\}/g, (_m, k) => {
-    const v = vars?.[k];
-    return (v === undefined || v === null) ? "" : String(v);
-  }).replace(/\s+/g, " ").trim();
+
+function summarizeQueueItem(item) {
+  return {
+    id: item.id,
+    location_id: item.locationId,
+    text: item.text,
+    priority: item.priority,
+    source: item.source || null,
+    template_key: item.templateKey || null,
+    zones: item.zones,
+    enqueued_at: item.enqueuedAt,
+    started_at: item.startedAt || null,
+    preemptions: item.preemptions || 0
+  };
 }
 
-// -------------------- API --------------------
-app.get("/api/status", (req, res) => {
-  const activeDate = activeOrToday();
-  const managerDateRange = getManagerDateRange();
+function getAnnouncementQueue(locationId) {
+  const state = getAnnouncerState(locationId);
+  return {
+    location_id: state.locationId,
+    current: state.current ? summarizeQueueItem(state.current) : null,
+    pending: state.pending.map(summarizeQueueItem)
+  };
+}
 
-  const expectedPdf = `Roll_Sheets_${activeDate.slice(5,7)}-${activeDate.slice(8,10)}-${activeDate.slice(0,4)}.pdf`;
-  const pdfPath = path.join(SCHEDULE_DIR, expectedPdf);
+function sortAnnouncementQueue(state) {
+  state.pending.sort((a, b) => (
+    (ANNOUNCEMENT_PRIORITIES[a.priority] - ANNOUNCEMENT_PRIORITIES[b.priority]) || (a.id - b.id)
+  ));
+}
 
-  const htmlPath = path.join(SCHEDULE_DIR, "Roll Sheets.html");
+function enqueueAnnouncement(state, item) {
+  state.pending.push(item);
+  sortAnnouncementQueue(state);
+  if (item.priority === "emergency" && state.current && state.current.priority !== "emergency") {
+    state.current.abortCode = "PREEMPTED";
+    state.current.controller.abort();
+  }
+  drainAnnouncementQueue(state);
+}
 
-  const pdfExists = fs.existsSync(pdfPath);
-  const htmlExists = fs.existsSync(htmlPath);
+// Queue ids are unique across locations, so no location is needed to cancel.
+// Drops every pending item with this tag and cuts off the playing one if it matches.
+function cancelAnnouncementsByTag(tag) {
+  let count = 0;
+  for (const state of announcerStates.values()) {
+    for (const item of state.pending.filter((i) => i.tag === tag)) {
+      state.pending.splice(state.pending.indexOf(item), 1);
+      item.reject(announcementQueueError("CANCELLED", "announcement cancelled"));
+      count++;
+    }
+    if (state.current?.tag === tag) {
+      state.current.abortCode = "CANCELLED";
+      state.current.controller.abort();
+      count++;
+    }
+  }
+  return count;
+}
 
-  res.json({
-    ok: true,
-    todayISO: todayISO(),
-    activeDate,
-    expectedPdf,
-    pdfExists,
-    pdfSizeBytes: pdfExists ? fs.statSync(pdfPath).size : 0,
-    htmlExists,
-    htmlSizeBytes: htmlExists ? fs.statSync(htmlPath).size : 0,
-    piperBinExists: fs.existsSync(PIPER_BIN),
-    voiceModelExists: fs.existsSync(VOICE_MODEL),
-    managerDateRange,
-    lastAnnouncement
+function cancelQueuedAnnouncement(id) {
+  for (const state of announcerStates.values()) {
+    const idx = state.pending.findIndex((item) => item.id === Number(id));
+    if (idx === -1) continue;
+    const [item] = state.pending.splice(idx, 1);
+    item.reject(announcementQueueError("CANCELLED", "announcement cancelled"));
+    return item;
+  }
+  return null;
+}
+
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(announcementQueueError("ABORTED", "aborted"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(announcementQueueError("ABORTED", "aborted"));
+    }, { once: true });
   });
-});
+}
 
-// Announcement templates (editable in app)
-app.get("/api/announcement-templates", (req, res) => {
-  try {
-    res.json({ ok: true, templates: listAnnouncementTemplates() });
+async function drainAnnouncementQueue(state) {
+  if (state.current) return;
+  while (state.pending.length) {
+    const item = state.pending.shift();
+    state.current = item;
+    item.startedAt = nowISO();
+    try {
+      item.resolve(await playAnnouncementItem(state, item));
+    } catch (e) {
+      const code = item.abortCode || "PREEMPTED";
+      if (item.controller.signal.aborted && code === "PREEMPTED" && (item.preemptions || 0) < ANNOUNCEMENT_MAX_REPLAYS) {
+        // The emergency is already queued ahead of it; keeping its id keeps it first among its rank.
+        item.preemptions = (item.preemptions || 0) + 1;
+        item.abortCode = null;
+        item.controller = new AbortController();
+        item.startedAt = null;
+        state.pending.push(item);
+        sortAnnouncementQueue(state);
+        state.current = null;
+        continue;
+      }
+      item.reject(item.controller.signal.aborted
+        ? announcementQueueError(code, code === "CANCELLED" ? "announcement cancelled" : "preempted by emergency announcement")
+        : e);
+    }
+    state.current = null;
+  }
+}
+
+async function playAnnouncementItem(state, item) {
+  const { signal } = item.controller;
+  state.lastAnnouncement = { text: item.text, at: nowISO() };
+  lastAnnouncement = state.lastAnnouncement;
+  broadcastLiveEvent(state.locationId, "announcement", {
+    status: "playing", text: item.text, source: item.source, priority: item.priority, zones: item.zones
+  });
+
+  const volume = resolveAnnouncementVolume(state.locationId, item.templateKey, item.priority);
+  const gain = VOLUME_MODE === "pcm" ? volume.volume / 100 : 1;
+  const restoreAudio = await prepareAnnouncementAudio(getLocationById(state.locationId), volume.volume);
+  try {
+    return await playAnnouncementAudio(state, item, signal, gain);
+  } finally {
+    await restoreAudio();
+  }
+}
+
+async function playAnnouncementAudio(state, item, signal, gain) {
+  // Lead-in sound first (ping unless the template picked a clip or none), then the delay, then speak
+  const leadInPath = item.skipPing ? null : resolveLeadInPath(item.leadIn);
+  if (leadInPath) {
+    await playPing(item.devices, signal, leadInPath, gain);
+    await abortableDelay(item.pingDelayMs, signal);
+  }
+
+  // Languages play back to back. A voice that fails (e.g. its model is not
+  // installed) is skipped and reported; the item only fails when no voice spoke.
+  // A backend fallback is noted in the same list so history shows the degraded voice.
+  const backends = getLocationTtsBackends(state.locationId);
+  const totals = { synth_ms: 0, play_ms: 0, cached: true, errors: [] };
+  let spokenCount = 0;
+  let firstError = null;
+  for (const u of item.utterances) {
+    try {
+      const spoken = await speakWithTts(u.text, item.devices, u.voice, signal, { language: u.language, backends, gain });
+      spokenCount++;
+      totals.synth_ms += spoken.synth_ms;
+      totals.play_ms += spoken.play_ms;
+      totals.cached = totals.cached && spoken.cached;
+      if (spoken.fallback_errors.length) totals.errors.push(`${u.language}: used ${spoken.backend} (${spoken.fallback_errors.join("; ")})`);
+    } catch (e) {
+      if (signal.aborted) throw e;
+      firstError = firstError || e;
+      totals.errors.push(`${u.language}: ${e?.message || e}`);
+      console.warn(`[TTS] ${u.language} voice skipped:`, e?.message || e);
+    }
+  }
+  if (!spokenCount && firstError) throw firstError;
+  return totals;
+}
+
+// -------------------- TTS cache --------------------
+// Every setting that changes the audio must be part of the key.
+function normalizeVoiceSettings(settings = {}) {
+  const num = (v) => (v === undefined || v === null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+  return {
+    model: settings.model || VOICE_MODEL,
+    speaker: num(settings.speaker),
+    length_scale: num(settings.length_scale),
+    noise_scale: num(settings.noise_scale),
+    noise_w: num(settings.noise_w)
+  };
+}
+
+// Piper keys predate other backends and stay unchanged so existing cache entries still hit.
+function ttsCacheKey(text, settings = {}, backend = "piper", language = null) {
+  const voice = normalizeVoiceSettings(settings);
+  const payload = backend === "piper" ? { text, ...voice } : { text, ...voice, backend, language };
+  return crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex").slice(0, 32);
+}
+
+function runPiper(text, outPath, voice) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(PIPER_BIN)) return reject(new Error(`Piper binary not found: ${PIPER_BIN}`));
+    if (!fs.existsSync(voice.model)) return reject(new Error(`Voice model not found: ${voice.model}`));
+
+    // Set LD_LIBRARY_PATH to include the piper directory for shared libraries
+    const piperDir = path.dirname(PIPER_BIN);
+    const env = {
+      ...process.env,
+      LD_LIBRARY_PATH: piperDir + (process.env.LD_LIBRARY_PATH ? `:${process.env.LD_LIBRARY_PATH}` : '')
+    };
+
+    const args = ["--model", voice.model, "--output_file", outPath];
+    if (voice.speaker !== null) args.push("--speaker", String(voice.speaker));
+    if (voice.length_scale !== null) args.push("--length_scale", String(voice.length_scale));
+    if (voice.noise_scale !== null) args.push("--noise_scale", String(voice.noise_scale));
+    if (voice.noise_w !== null) args.push("--noise_w", String(voice.noise_w));
+
+    const p = spawn(PIPER_BIN, args, { env });
+    let err = "";
+
+    p.stderr.on("data", (d) => (err += d.toString("utf8")));
+    p.on("error", (e) => reject(e));
+
+    // A process that exits before reading (e.g. a bad model) reports through "close"; EPIPE would crash the server.
+    p.stdin.on("error", () => {});
+    p.stdin.write(text);
+    p.stdin.end();
+
+    p.on("close", (code) => {
+      if (code !== 0) return reject(new Error(`piper failed (${code}): ${err || "unknown error"}`));
+      resolve();
+    });
+  });
+}
+
+// length_scale (Piper's speed knob, 1 = normal) maps onto espeak's words per minute.
+function runEspeak(text, outPath, voice, language) {
+  return new Promise((resolve, reject) => {
+    const args = ["-w", outPath, "-v", String(language || DEFAULT_ANNOUNCEMENT_LANGUAGE)];
+    if (voice.length_scale) args.push("-s", String(Math.round(175 / voice.length_scale)));
+    args.push("--stdin");
+
+    const p = spawn(ESPEAK_BIN, args);
+    let err = "";
+    p.stderr.on("data", (d) => (err += d.toString("utf8")));
+    p.on("error", (e) => reject(e.code === "ENOENT" ? new Error(`espeak-ng not found: ${ESPEAK_BIN}`) : e));
+    // espeak-ng exits before reading stdin on an unknown voice; its exit code reports that, and EPIPE would crash the server.
+    p.stdin.on("error", () => {});
+    p.stdin.write(text);
+    p.stdin.end();
+    p.on("close", (code) => {
+      if (code !== 0) return reject(new Error(`espeak-ng failed (${code}): ${err || "unknown error"}`));
+      resolve();
+    });
+  });
+}
+
+// -------------------- TTS backends --------------------
+function findOnPath(bin) {
+  if (bin.includes("/")) return fs.existsSync(bin) ? bin : null;
+  for (const dir of String(process.env.PATH || "").split(path.delimiter)) {
+    const candidate = path.join(dir, bin);
+    if (dir && fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+function ttsLibrarySlug(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 120);
+}
+function findLibraryRecording(text, language) {
+  const slug = ttsLibrarySlug(text);
+  if (!slug) return null;
+  const candidates = [path.join(TTS_LIBRARY_DIR, String(language || DEFAULT_ANNOUNCEMENT_LANGUAGE), `${slug}.wav`)];
+  if (!language || language === DEFAULT_ANNOUNCEMENT_LANGUAGE) candidates.push(path.join(TTS_LIBRARY_DIR, `${slug}.wav`));
+  return candidates.find((f) => fs.existsSync(f)) || null;
+}
+
+// synthesize(text, outPath, voice, language) writes a WAV; resolve(text, language) returns an
+// existing file; "log" produces no audio at all (test machines without speakers).
+const TTS_BACKENDS = {
+  piper: {
+    label: "Piper",
+    synthesize: (text, outPath, voice) => runPiper(text, outPath, voice),
+    health: () => {
+      if (!fs.existsSync(PIPER_BIN)) return { available: false, detail: `binary not found: ${PIPER_BIN}` };
+      if (!fs.existsSync(VOICE_MODEL)) return { available: false, detail: `voice model not found: ${VOICE_MODEL}` };
+      const missing = findMissingVoiceModels();
+      return {
+        available: true,
+        detail: missing.length ? `${PIPER_BIN} (${missing.length} voice model(s) missing)` : PIPER_BIN,
+        missing_models: missing
+      };
+    }
+  },
+  "espeak-ng": {
+    label: "eSpeak NG",
+    synthesize: runEspeak,
+    health: () => {
+      const bin = findOnPath(ESPEAK_BIN);
+      return bin ? { available: true, detail: bin } : { available: false, detail: `binary not found: ${ESPEAK_BIN}` };
+    }
+  },
+  library: {
+    label: "WAV library",
+    resolve: findLibraryRecording,
+    health: () => {
+      if (!fs.existsSync(TTS_LIBRARY_DIR)) return { available: false, detail: `folder not found: ${TTS_LIBRARY_DIR}` };
+      return { available: true, detail: TTS_LIBRARY_DIR };
+    }
+  },
+  log: {
+    label: "Log only",
+    health: () => ({ available: true, detail: "announcements are written to the server log, not played" })
+  }
+};
+
+// Last success/failure per backend, reported in /api/status.
+const ttsBackendState = new Map();
+function noteTtsBackendResult(backend, error = null) {
+  const entry = ttsBackendState.get(backend) || {};
+  if (error) Object.assign(entry, { last_error: error, last_error_at: nowISO() });
+  else entry.last_ok_at = nowISO();
+  ttsBackendState.set(backend, entry);
+}
+
+function getTtsBackendHealth() {
+  return Object.entries(TTS_BACKENDS).map(([key, b]) => ({
+    key,
+    label: b.label,
+    ...b.health(),
+    last_ok_at: ttsBackendState.get(key)?.last_ok_at || null,
+    last_error: ttsBackendState.get(key)?.last_error || null,
+    last_error_at: ttsBackendState.get(key)?.last_error_at || null
+  }));
+}
+
+// Piper models of every voice in use: each Piper location's voice sequence plus the
+// voices enabled templates pin. The default VOICE_MODEL is checked by the backend itself.
+function findMissingVoiceModels() {
+  const users = new Map(); // voice_key -> location codes (or "template KEY")
+  const addUser = (key, who) => {
+    if (!users.has(key)) users.set(key, new Set());
+    users.get(key).add(who);
+  };
+  for (const location of db.prepare(`SELECT * FROM locations WHERE active = 1`).all()) {
+    if (!getLocationTtsBackends(location.id).includes("piper")) continue;
+    for (const key of getLocationVoiceKeys(location.id)) addUser(key, location.code);
+  }
+  for (const tpl of db.prepare(`SELECT key, voice_key FROM announcement_templates WHERE enabled = 1 AND voice_key IS NOT NULL AND voice_key != ''`).all()) {
+    addUser(tpl.voice_key, `template ${tpl.key}`);
+  }
+  const missing = [];
+  for (const [key, who] of users) {
+    const voice = getTtsVoice(key);
+    if (!voice) continue;
+    const model = resolveVoiceModel(voice);
+    if (model !== VOICE_MODEL && !fs.existsSync(model)) missing.push({ voice_key: key, model, used_by: Array.from(who) });
+  }
+  return missing;
+}
+
+function normalizeTtsBackendList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return Array.from(new Set(list.map((b) => String(b || "").trim().toLowerCase()).filter(Boolean)));
+}
+
+function getLocationTtsBackends(locationId) {
+  const row = db.prepare(`SELECT tts_backends FROM locations WHERE id = ?`).get(Number(locationId || 1));
+  let list = null;
+  try {
+    list = JSON.parse(row?.tts_backends || "null");
+  } catch (_) { /* bad JSON: use the default chain */ }
+  const chain = normalizeTtsBackendList(Array.isArray(list) && list.length ? list : DEFAULT_TTS_BACKENDS)
+    .filter((b) => TTS_BACKENDS[b]);
+  return chain.length ? chain : ["piper"];
+}
+
+// Tries each backend in order. Returns the first WAV (path is null for "log"),
+// plus the errors from backends that were skipped on the way.
+async function synthesizeWithFallback(text, settings = {}, { language = null, backends = ["piper"] } = {}) {
+  const fallbackErrors = [];
+  for (const backend of backends) {
+    const impl = TTS_BACKENDS[backend];
+    if (!impl) continue;
+    try {
+      let out;
+      // Only Piper reads [[ phonemes ]]; other backends get the respelling instead.
+      const input = backend === "piper" ? text : spellOutPhonemes(text);
+      if (impl.synthesize) {
+        out = await synthesizeToCache(input, settings, backend, language);
+      } else if (impl.resolve) {
+        const file = impl.resolve(input, language);
+        if (!file) throw Object.assign(new Error("no recording for this text"), { code: "NO_RECORDING" });
+        out = { key: ttsCacheKey(input, { model: file }, backend, language), path: file, cached: true };
+      } else {
+        console.log(`[TTS log] ${language || DEFAULT_ANNOUNCEMENT_LANGUAGE}: ${input}`);
+        out = { key: null, path: null, cached: true };
+      }
+      noteTtsBackendResult(backend);
+      return { ...out, backend, fallback_errors: fallbackErrors };
+    } catch (e) {
+      const message = e?.message || String(e);
+      // A library miss is expected for most text and says nothing about the backend's health.
+      if (e?.code !== "NO_RECORDING") noteTtsBackendResult(backend, message);
+      fallbackErrors.push(`${backend}: ${message}`);
+    }
+  }
+  throw new Error(fallbackErrors.length ? `all TTS backends failed (${fallbackErrors.join("; ")})` : "no TTS backend configured");
+}
+
+// Concurrent requests for the same utterance share one synthesis.
+const ttsPending = new Map();
+
+function synthesizeToCache(text, settings = {}, backend = "piper", language = null) {
+  const voice = normalizeVoiceSettings(settings);
+  const key = ttsCacheKey(text, voice, backend, language);
+  const wavPath = path.join(TTS_CACHE_DIR, `${key}.wav`);
+
+  try {
+    if (fs.statSync(wavPath).size > 0) {
+      const now = new Date();
+      fs.utimesSync(wavPath, now, now); // mtime doubles as "last used" for eviction
+      return Promise.resolve({ key, path: wavPath, cached: true });
+    }
+  } catch (_) { /* not cached yet */ }
+
+  if (ttsPending.has(key)) return ttsPending.get(key);
+
+  // Write to a unique temp file and rename so readers never see a partial WAV.
+  const tmpPath = path.join(TTS_CACHE_DIR, `${key}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+  const job = TTS_BACKENDS[backend].synthesize(text, tmpPath, voice, language)
+    .then(() => {
+      if (!fs.existsSync(tmpPath) || fs.statSync(tmpPath).size === 0) throw new Error(`${backend} produced an empty WAV`);
+      fs.renameSync(tmpPath, wavPath);
+      fs.writeFileSync(path.join(TTS_CACHE_DIR, `${key}.json`), JSON.stringify({ text, voice, backend, language, created_at: nowISO() }), "utf-8");
+      enforceTtsCacheLimit();
+      return { key, path: wavPath, cached: false };
+    })
+    .finally(() => {
+      ttsPending.delete(key);
+      try { fs.unlinkSync(tmpPath); } catch (_) { /* already renamed */ }
+    });
+  ttsPending.set(key, job);
+  return job;
+}
+
+function listTtsCacheEntries() {
+  const entries = [];
+  for (const name of fs.readdirSync(TTS_CACHE_DIR)) {
+    if (!name.endsWith(".wav")) continue;
+    const key = name.slice(0, -4);
+    const stat = fs.statSync(path.join(TTS_CACHE_DIR, name));
+    // Transcoded copies for browsers live beside the WAV and count toward its size.
+    let bytes = stat.size;
+    for (const { ext } of Object.values(TTS_RENDER_FORMATS)) {
+      try { if (ext !== ".wav") bytes += fs.statSync(path.join(TTS_CACHE_DIR, `${key}${ext}`)).size; } catch (_) { /* none */ }
+    }
+    let meta = null;
+    try {
+      meta = JSON.parse(fs.readFileSync(path.join(TTS_CACHE_DIR, `${key}.json`), "utf-8"));
+    } catch (_) { /* metadata is informational only */ }
+    entries.push({
+      key,
+      bytes,
+      last_used_at: stat.mtime.toISOString(),
+      text: meta?.text || null,
+      voice: meta?.voice || null,
+      created_at: meta?.created_at || null
+    });
+  }
+  return entries.sort((a, b) => b.last_used_at.localeCompare(a.last_used_at));
+}
+
+function removeTtsCacheEntry(key) {
+  let removed = false;
+  for (const ext of [".wav", ".json", ...Object.values(TTS_RENDER_FORMATS).map((f) => f.ext)]) {
+    try {
+      fs.unlinkSync(path.join(TTS_CACHE_DIR, `${key}${ext}`));
+      removed = true;
+    } catch (_) { /* missing */ }
+  }
+  return removed;
+}
+
+// Least recently used entries go first once the cache is over its size budget.
+function enforceTtsCacheLimit() {
+  const entries = listTtsCacheEntries();
+  let total = entries.reduce((sum, e) => sum + e.bytes, 0);
+  let evicted = 0;
+  for (let i = entries.length - 1; i >= 0 && total > TTS_CACHE_MAX_BYTES; i--) {
+    removeTtsCacheEntry(entries[i].key);
+    total -= entries[i].bytes;
+    evicted++;
+  }
+  return evicted;
+}
+
+// -------------------- Announcer health --------------------
+// A scheduled self-test synthesizes a short phrase with every backend the locations use,
+// checks the WAV has audio, lists the ALSA cards (aplay -l) and times the synthesis.
+// Together with the last synthesis/playback failures from real announcements it drives
+// /api/announcer/health and the red banner in the UI.
+const SELF_TEST_MINUTES = Math.max(0, Number(process.env.ANNOUNCER_SELF_TEST_MINUTES ?? 15));
+const SELF_TEST_PHRASE = process.env.ANNOUNCER_SELF_TEST_PHRASE || "Audio check.";
+const SELF_TEST_SLOW_MS = Number(process.env.ANNOUNCER_SLOW_SYNTH_MS || 5000);
+const AUDIO_FAILURE_LIMIT = 25;
+const AUDIO_FAILURE_RECENT_MS = 60 * 60 * 1000;
+const audioFailures = []; // newest first
+const selfTestRuns = []; // newest first, last 20
+let selfTestRunning = null;
+
+function recordAudioFailure(stage, error, details = {}) {
+  const message = String(error?.message || error);
+  audioFailures.unshift({ at: nowISO(), stage, error: message, ...details });
+  audioFailures.length = Math.min(audioFailures.length, AUDIO_FAILURE_LIMIT);
+  console.warn(`[AUDIO] ${stage} failed${details.device ? ` on ${details.device}` : ""}: ${message}`);
+}
+
+function listAlsaCards() {
+  return new Promise((resolve) => {
+    const p = spawn("aplay", ["-l"]);
+    let out = "";
+    let err = "";
+    const timer = setTimeout(() => p.kill(), 5000);
+    p.stdout.on("data", (d) => (out += d.toString("utf8")));
+    p.stderr.on("data", (d) => (err += d.toString("utf8")));
+    p.on("error", (e) => {
+      clearTimeout(timer);
+      resolve({ ok: false, cards: [], error: e.message });
+    });
+    p.on("close", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) return resolve({ ok: false, cards: [], error: `aplay -l failed (${code}): ${err.trim() || "unknown error"}` });
+      const cards = Array.from(out.matchAll(/^card (\d+): (\S+) \[([^\]]*)\], device (\d+):/gm))
+        .map((m) => ({ card: Number(m[1]), id: m[2], name: m[3], device: Number(m[4]) }));
+      resolve({ ok: cards.length > 0, cards, error: cards.length ? null : "no sound cards found" });
+    });
+  });
+}
+
+// Zone devices like "plughw:1,0" or "hw:CARD=USB,DEV=0" must name a listed card.
+// Other names ("default", dmix aliases) cannot be checked this way and are skipped.
+function findMissingZoneDevices(cards) {
+  const devices = db.prepare(`SELECT location_id, zone_key, alsa_device FROM audio_zones WHERE enabled = 1 AND alsa_device IS NOT NULL AND alsa_device != ''`).all();
+  return devices.filter((z) => {
+    const m = z.alsa_device.match(/^(?:plug)?hw:(?:CARD=)?([^,]+)(?:,(?:DEV=)?(\d+))?$/);
+    if (!m) return false;
+    const dev = m[2] === undefined ? null : Number(m[2]);
+    return !cards.some((c) => (String(c.card) === m[1] || c.id === m[1]) && (dev === null || c.device === dev));
+  });
+}
+
+async function selfTestBackend(backend) {
+  const outPath = path.join(TTS_OUT_DIR, `selftest-${backend}-${process.pid}.wav`);
+  const start = Date.now();
+  try {
+    await TTS_BACKENDS[backend].synthesize(SELF_TEST_PHRASE, outPath, normalizeVoiceSettings({}), DEFAULT_ANNOUNCEMENT_LANGUAGE);
+    const latency = Date.now() - start;
+    const { data } = readWavChunks(outPath);
+    if (!data.length) throw new Error("synthesized WAV has no audio");
+    return { backend, ok: true, latency_ms: latency, bytes: data.length, error: null };
+  } catch (e) {
+    return { backend, ok: false, latency_ms: Date.now() - start, bytes: 0, error: e?.message || String(e) };
+  } finally {
+    fs.unlink(outPath, () => {});
+  }
+}
+
+async function runAnnouncerSelfTest() {
+  if (selfTestRunning) return selfTestRunning;
+  selfTestRunning = (async () => {
+    const startedAt = nowISO();
+    // Every synthesizing backend some location relies on ("library" and "log" have nothing to test).
+    const locationIds = listAnnouncementLocations().map((l) => l.id);
+    const backends = Array.from(new Set((locationIds.length ? locationIds : [1]).flatMap(getLocationTtsBackends)))
+      .filter((b) => TTS_BACKENDS[b]?.synthesize);
+    const synthesis = [];
+    for (const backend of backends) synthesis.push(await selfTestBackend(backend));
+    const alsa = await listAlsaCards();
+    const run = { at: startedAt, synthesis, alsa: { ...alsa, missing_devices: alsa.ok ? findMissingZoneDevices(alsa.cards) : [] } };
+    selfTestRuns.unshift(run);
+    selfTestRuns.length = Math.min(selfTestRuns.length, 20);
+    const health = getAnnouncerHealth();
+    if (health.status !== "ok") console.warn(`[AUDIO] Self-test ${health.status}: ${health.problems.join("; ")}`);
+    return run;
+  })().finally(() => {
+    selfTestRunning = null;
+  });
+  return selfTestRunning;
+}
+
+// failing: nothing can be synthesized or played. degraded: it works, but something needs a look.
+function getAnnouncerHealth() {
+  const last = selfTestRuns[0] || null;
+  const failing = [];
+  const degraded = [];
+  if (last) {
+    const passed = last.synthesis.filter((t) => t.ok);
+    for (const t of last.synthesis.filter((x) => !x.ok)) (passed.length ? degraded : failing).push(`${t.backend}: ${t.error}`);
+    for (const t of passed.filter((x) => x.latency_ms > SELF_TEST_SLOW_MS)) degraded.push(`${t.backend} took ${t.latency_ms} ms to synthesize`);
+    if (!last.alsa.ok) failing.push(`sound card: ${last.alsa.error}`);
+    for (const z of last.alsa.missing_devices) failing.push(`zone ${z.zone_key} device ${z.alsa_device} not found`);
+  }
+  for (const m of findMissingVoiceModels()) degraded.push(`voice ${m.voice_key} model not found: ${m.model} (used by ${m.used_by.join(", ")})`);
+  const recentFailures = audioFailures.filter((f) => Date.now() - Date.parse(f.at) < AUDIO_FAILURE_RECENT_MS);
+  if (recentFailures.length) degraded.push(`${recentFailures.length} playback/synthesis failure(s) in the last hour`);
+
+  return {
+    status: failing.length ? "failing" : degraded.length ? "degraded" : last ? "ok" : "unknown",
+    problems: [...failing, ...degraded],
+    self_test: last,
+    latency_history: selfTestRuns.map((r) => ({ at: r.at, synthesis: r.synthesis.map((t) => ({ backend: t.backend, ok: t.ok, latency_ms: t.latency_ms })) })),
+    recent_failures: audioFailures,
+    interval_minutes: SELF_TEST_MINUTES
+  };
+}
+
+function startAnnouncerSelfTest() {
+  if (!SELF_TEST_MINUTES) return;
+  runAnnouncerSelfTest().catch((e) => console.error("[AUDIO] Self-test error:", e?.stack || e?.message || e));
+  setInterval(() => {
+    runAnnouncerSelfTest().catch((e) => console.error("[AUDIO] Self-test error:", e?.stack || e?.message || e));
+  }, SELF_TEST_MINUTES * 60 * 1000);
+}
+
+// -------------------- Rendered files (tablets / browsers) --------------------
+const TTS_RENDER_FORMATS = {
+  wav: { ext: ".wav", type: "audio/wav", args: null },
+  opus: { ext: ".opus", type: "audio/ogg", args: ["-c:a", "libopus", "-b:a", "32k"] },
+  mp3: { ext: ".mp3", type: "audio/mpeg", args: ["-c:a", "libmp3lame", "-b:a", "64k"] }
+};
+
+// Splits a PCM WAV into its fmt chunk and sample data (other chunks are dropped).
+function readWavChunks(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.length < 12 || buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error(`not a WAV file: ${path.basename(file)}`);
+  }
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = buf.subarray(off + 8, Math.min(buf.length, off + 8 + size));
+    if (id === "fmt ") fmt = body;
+    if (id === "data") data = body;
+    off += 8 + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error(`WAV is missing fmt or data: ${path.basename(file)}`);
+  return { fmt, data };
+}
+
+function parseWavFormat(fmt) {
+  const tag = fmt.readUInt16LE(0);
+  return {
+    pcm: tag === 1 || tag === 0xfffe, // 0xfffe = WAVE_FORMAT_EXTENSIBLE, PCM in practice for these files
+    channels: fmt.readUInt16LE(2),
+    rate: fmt.readUInt32LE(4),
+    bits: fmt.readUInt16LE(14)
+  };
+}
+
+// Resamples (linear) and up/down-mixes 16-bit PCM so clips recorded at any rate can be
+// joined with Piper's output.
+function convertPcm16(data, from, to) {
+  if (!from.pcm || !to.pcm || from.bits !== 16 || to.bits !== 16) throw new Error("only 16-bit PCM WAVs can be joined");
+  const inFrames = Math.floor(data.length / (2 * from.channels));
+  const outFrames = Math.floor(inFrames * to.rate / from.rate);
+  const out = Buffer.alloc(outFrames * 2 * to.channels);
+  const sampleAt = (frame, channel) => {
+    if (from.channels === to.channels) return data.readInt16LE((frame * from.channels + channel) * 2);
+    let sum = 0;
+    for (let c = 0; c < from.channels; c++) sum += data.readInt16LE((frame * from.channels + c) * 2);
+    return sum / from.channels;
+  };
+  for (let i = 0; i < outFrames; i++) {
+    const pos = i * from.rate / to.rate;
+    const i0 = Math.min(Math.floor(pos), inFrames - 1);
+    const i1 = Math.min(i0 + 1, inFrames - 1);
+    const frac = pos - i0;
+    for (let c = 0; c < to.channels; c++) {
+      const v = Math.round(sampleAt(i0, c) * (1 - frac) + sampleAt(i1, c) * frac);
+      out.writeInt16LE(Math.max(-32768, Math.min(32767, v)), (i * to.channels + c) * 2);
+    }
+  }
+  return out;
+}
+
+// Joins WAVs into one file in the first file's format, converting the others when they differ.
+function concatWavFiles(files, outPath) {
+  const parts = files.map(readWavChunks);
+  const fmt = parts[0].fmt;
+  const target = parseWavFormat(fmt);
+  for (const p of parts) {
+    if (!p.fmt.equals(fmt)) p.data = convertPcm16(p.data, parseWavFormat(p.fmt), target);
+  }
+  const dataLen = parts.reduce((sum, p) => sum + p.data.length, 0);
+  const header = Buffer.alloc(20);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(4 + 8 + fmt.length + 8 + dataLen, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(fmt.length, 16);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write("data", 0, "ascii");
+  dataHeader.writeUInt32LE(dataLen, 4);
+  fs.writeFileSync(outPath, Buffer.concat([header, fmt, dataHeader, ...parts.map((p) => p.data)]));
+}
+
+// Synthesizes every utterance and, when there are several languages, caches them
+// joined into one WAV. Falls back to the first utterance if they cannot be joined.
+async function renderUtterancesToWav(utterances, backends = ["piper"]) {
+  const synthStart = Date.now();
+  // "log" has no audio to hand back.
+  const audible = backends.filter((b) => b !== "log");
+  const wavs = [];
+  for (const u of utterances) {
+    const wav = await synthesizeUtterance(u.text, u.voice, { language: u.language, backends: audible });
+    if (!wav.path) throw new Error(`no audio for ${u.language}`);
+    wavs.push(wav);
+  }
+  let cached = wavs.every((w) => w.cached);
+  if (wavs.length === 1) return { ...wavs[0], synth_ms: Date.now() - synthStart, languages: [utterances[0].language] };
+
+  const key = crypto.createHash("sha256").update(wavs.map((w) => w.key).join("+")).digest("hex").slice(0, 32);
+  const wavPath = path.join(TTS_CACHE_DIR, `${key}.wav`);
+  if (fs.existsSync(wavPath)) {
+    const now = new Date();
+    fs.utimesSync(wavPath, now, now);
+  } else {
+    const tmpPath = `${wavPath}.${process.pid}.tmp`;
+    try {
+      concatWavFiles(wavs.map((w) => w.path), tmpPath);
+      fs.renameSync(tmpPath, wavPath);
+      fs.writeFileSync(path.join(TTS_CACHE_DIR, `${key}.json`), JSON.stringify({
+        text: utterances.map((u) => u.text).join(" "), parts: wavs.map((w) => w.key), created_at: nowISO()
+      }), "utf-8");
+    } catch (e) {
+      try { fs.unlinkSync(tmpPath); } catch (_) { /* not written */ }
+      console.warn("[TTS] Could not join languages, returning the first only:", e?.message || e);
+      return { ...wavs[0], synth_ms: Date.now() - synthStart, languages: [utterances[0].language] };
+    }
+    enforceTtsCacheLimit();
+    cached = false;
+  }
+  return { key, path: wavPath, cached, synth_ms: Date.now() - synthStart, languages: utterances.map((u) => u.language) };
+}
+
+// Transcodes a cached WAV once per format; the copy is evicted with its WAV.
+function transcodeCachedWav(wav, format) {
+  const spec = TTS_RENDER_FORMATS[format];
+  if (!spec.args) return Promise.resolve(wav.path);
+  const outPath = path.join(TTS_CACHE_DIR, `${wav.key}${spec.ext}`);
+  if (fs.existsSync(outPath)) return Promise.resolve(outPath);
+
+  const tmpPath = path.join(TTS_CACHE_DIR, `${wav.key}.${process.pid}.${crypto.randomBytes(4).toString("hex")}${spec.ext}`);
+  return new Promise((resolve, reject) => {
+    const p = spawn(FFMPEG_BIN, ["-y", "-loglevel", "error", "-i", wav.path, ...spec.args, tmpPath]);
+    let err = "";
+    p.stderr.on("data", (d) => (err += d.toString("utf8")));
+    p.on("error", (e) => reject(e.code === "ENOENT" ? new Error(`ffmpeg not found (${FFMPEG_BIN}); request format wav`) : e));
+    p.on("close", (code) => {
+      if (code !== 0) {
+        try { fs.unlinkSync(tmpPath); } catch (_) { /* not written */ }
+        return reject(new Error(`ffmpeg failed (${code}): ${err || "unknown error"}`));
+      }
+      fs.renameSync(tmpPath, outPath);
+      resolve(outPath);
+    });
+  });
+}
+
+// -------------------- Audio clips --------------------
+const LEAD_IN_BUILTINS = new Set(["ping", "none"]);
+const CLIP_TOKEN_RE = /\{clip:([a-z0-9_-]+)\}/gi;
+
+function normalizeClipKey(value) {
+  const key = String(value || "").trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9_-]{0,39}$/.test(key) && !LEAD_IN_BUILTINS.has(key) ? key : null;
+}
+function audioClipPath(key) {
+  return path.join(CLIPS_DIR, `${key}.wav`);
+}
+function getAudioClip(key) {
+  const clipKey = normalizeClipKey(key);
+  if (!clipKey) return null;
+  const row = db.prepare(`SELECT * FROM audio_clips WHERE clip_key = ?`).get(clipKey);
+  return row ? { ...row, file_exists: fs.existsSync(audioClipPath(clipKey)) } : null;
+}
+function listAudioClips() {
+  return db.prepare(`SELECT * FROM audio_clips ORDER BY name COLLATE NOCASE`).all()
+    .map((row) => ({ ...row, file_exists: fs.existsSync(audioClipPath(row.clip_key)) }));
+}
+
+function listTemplateClips(text) {
+  return Array.from(String(text || "").matchAll(CLIP_TOKEN_RE), (m) => m[1].toLowerCase());
+}
+// "{clip:chime} Hello {clip:whistle}" -> [{clip:"chime"}, {text:"Hello"}, {clip:"whistle"}]
+function splitClipSegments(text) {
+  const segments = [];
+  let last = 0;
+  for (const m of String(text || "").matchAll(CLIP_TOKEN_RE)) {
+    const before = text.slice(last, m.index).trim();
+    if (before) segments.push({ text: before });
+    segments.push({ clip: m[1].toLowerCase() });
+    last = m.index + m[0].length;
+  }
+  const rest = String(text || "").slice(last).trim();
+  if (rest) segments.push({ text: rest });
+  return segments;
+}
+
+// Sample format and length of an uploaded clip; only PCM that convertPcm16 can mix is accepted.
+function describeClipWav(file) {
+  const { fmt, data } = readWavChunks(file);
+  const info = parseWavFormat(fmt);
+  if (!info.pcm || info.bits !== 16) throw new Error("clip must be a 16-bit PCM WAV");
+  if (!info.rate || !info.channels) throw new Error("clip has an invalid sample format");
+  return {
+    sample_rate: info.rate,
+    channels: info.channels,
+    duration_ms: Math.round((data.length / (2 * info.channels)) / info.rate * 1000)
+  };
+}
+
+// Builds one WAV for an utterance: clips referenced with {clip:key} are joined with the
+// synthesized text in order. Plain text goes straight to the backend chain. A missing
+// clip is skipped (and reported) rather than dropping the whole announcement.
+async function synthesizeUtterance(text, settings = {}, opts = {}) {
+  const segments = splitClipSegments(text);
+  if (!segments.some((seg) => seg.clip)) return synthesizeWithFallback(text, settings, opts);
+
+  const parts = [];
+  const fallbackErrors = [];
+  let backend = null;
+  let cached = true;
+  for (const seg of segments) {
+    if (seg.clip) {
+      const file = audioClipPath(seg.clip);
+      if (!getAudioClip(seg.clip) || !fs.existsSync(file)) {
+        fallbackErrors.push(`clip ${seg.clip}: not found`);
+        continue;
+      }
+      // mtime in the key so replacing a clip re-renders everything that uses it.
+      parts.push({ key: `clip:${seg.clip}:${fs.statSync(file).mtimeMs}`, path: file });
+      continue;
+    }
+    const out = await synthesizeWithFallback(seg.text, settings, opts);
+    backend = backend || out.backend;
+    cached = cached && out.cached;
+    fallbackErrors.push(...out.fallback_errors);
+    if (out.path) parts.push(out);
+  }
+  if (!parts.length) return { key: null, path: null, cached, backend, fallback_errors: fallbackErrors };
+  if (parts.length === 1) return { ...parts[0], cached, backend, fallback_errors: fallbackErrors };
+
+  const key = crypto.createHash("sha256").update(parts.map((p) => p.key).join("+")).digest("hex").slice(0, 32);
+  const wavPath = path.join(TTS_CACHE_DIR, `${key}.wav`);
+  if (fs.existsSync(wavPath)) {
+    const now = new Date();
+    fs.utimesSync(wavPath, now, now);
+  } else {
+    const tmpPath = `${wavPath}.${process.pid}.tmp`;
+    try {
+      concatWavFiles(parts.map((p) => p.path), tmpPath);
+      fs.renameSync(tmpPath, wavPath);
+    } finally {
+      try { fs.unlinkSync(tmpPath); } catch (_) { /* renamed */ }
+    }
+    fs.writeFileSync(path.join(TTS_CACHE_DIR, `${key}.json`), JSON.stringify({ text, parts: parts.map((p) => p.key), created_at: nowISO() }), "utf-8");
+    enforceTtsCacheLimit();
+    cached = false;
+  }
+  return { key, path: wavPath, cached, backend, fallback_errors: fallbackErrors };
+}
+
+// Template lead-in -> file to play before the message, or null for none.
+// Unknown or missing clips fall back to the standard ping.
+function resolveLeadInPath(leadIn) {
+  const key = String(leadIn || "ping").trim().toLowerCase();
+  if (key === "none") return null;
+  if (key !== "ping" && getAudioClip(key) && fs.existsSync(audioClipPath(key))) return audioClipPath(key);
+  return fs.existsSync(PING_WAV) ? PING_WAV : null;
+}
+
+async function speakWithTts(text, devices = [null], settings = {}, signal = undefined, { language = null, backends = ["piper"], gain = 1 } = {}) {
+  const synthStart = Date.now();
+  // Synthesis is shared through the cache, so it is never aborted; only playback is.
+  let wav;
+  try {
+    wav = await synthesizeUtterance(text, settings, { language, backends });
+  } catch (e) {
+    recordAudioFailure("synthesis", e, { text, language });
+    throw e;
+  }
+  if (signal?.aborted) throw announcementQueueError("ABORTED", "aborted");
+  const playStart = Date.now();
+  if (wav.path) await playWavOnDevices(wav.path, devices, signal, gain);
+  return { ...wav, synth_ms: playStart - synthStart, play_ms: Date.now() - playStart };
+}
+
+// -------------------- Pronunciation lexicon --------------------
+// Names are swapped for their respelling (or [[ phonemes ]], which Piper speaks directly)
+// after the template is rendered, so history and screens keep the real spelling.
+// Phonemes are passed to espeak-ng inside Piper, so they use espeak's ASCII phoneme
+// mnemonics (e.g. "w'In" for Nguyen), not IPA symbols.
+const PRONUNCIATION_MAX_LENGTH = 120;
+let pronunciationLexicon = null; // rebuilt after every edit
+
+function listPronunciations() {
+  return db.prepare(`SELECT * FROM pronunciations ORDER BY term COLLATE NOCASE`).all();
+}
+
+function getPronunciationLexicon() {
+  if (pronunciationLexicon) return pronunciationLexicon;
+  const entries = listPronunciations().filter((p) => p.respelling || p.phonemes);
+  // Longest first so "Van der Berg" wins over "Berg".
+  entries.sort((a, b) => b.term.length - a.term.length);
+  const escape = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  pronunciationLexicon = {
+    byTerm: new Map(entries.map((p) => [p.term.toLowerCase(), p])),
+    byPhonemes: new Map(entries.filter((p) => p.phonemes).map((p) => [p.phonemes, p])),
+    re: entries.length ? new RegExp(`(?<![\\p{L}'])(?:${entries.map((p) => escape(p.term)).join("|")})(?![\\p{L}'])`, "giu") : null
+  };
+  return pronunciationLexicon;
+}
+
+function pronunciationReplacement(entry) {
+  return entry.phonemes ? `[[ ${entry.phonemes} ]]` : entry.respelling;
+}
+
+// Only plain text is rewritten; {clip:key} and other {...} tokens are left as they are.
+function applyPronunciations(text) {
+  const lex = getPronunciationLexicon();
+  if (!lex.re) return text;
+  return String(text).split(/(\{[^{}]*\})/).map((part, i) => (i % 2 ? part : part.replace(lex.re, (m) => {
+    const entry = lex.byTerm.get(m.replace(/\s+/g, " ").toLowerCase());
+    return entry ? pronunciationReplacement(entry) : m;
+  }))).join("");
+}
+
+function pronounceUtterances(utterances) {
+  return utterances.map((u) => ({ ...u, text: applyPronunciations(u.text) }));
+}
+
+// Phonemes a non-Piper backend cannot read go back to the respelling, or the name itself.
+function spellOutPhonemes(text) {
+  if (!String(text).includes("[[")) return text;
+  const lex = getPronunciationLexicon();
+  return String(text).replace(/\[\[\s*(.*?)\s*\]\]/g, (m, phonemes) => {
+    const entry = lex.byPhonemes.get(phonemes);
+    return entry ? (entry.respelling || entry.term) : phonemes;
+  });
+}
+
+function validatePronunciation({ term, respelling, phonemes }) {
+  if (!term) return "term is required";
+  for (const [k, v] of Object.entries({ term, respelling, phonemes })) {
+    if (v && v.length > PRONUNCIATION_MAX_LENGTH) return `${k} must be at most ${PRONUNCIATION_MAX_LENGTH} characters`;
+    if (v && /[[\]{}]/.test(v)) return `${k} cannot contain brackets or braces`;
+  }
+  return null;
+}
+
+// Words from roster swimmer and instructor names that have no lexicon row yet, most frequent first.
+function suggestPronunciations(locationId = null, limit = 50) {
+  const rows = db.prepare(`
+    SELECT swimmer_name AS name FROM roster WHERE (? IS NULL OR location_id = ?)
+    UNION ALL
+    SELECT instructor_name AS name FROM roster WHERE instructor_name IS NOT NULL AND (? IS NULL OR location_id = ?)
+  `).all(locationId, locationId, locationId, locationId);
+  const reviewed = new Set(listPronunciations().map((p) => p.term.toLowerCase()));
+  const words = new Map();
+  for (const { name } of rows) {
+    for (const raw of String(name || "").split(/[\s,/]+/)) {
+      const word = raw.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, "");
+      if (word.length < 2 || reviewed.has(word.toLowerCase())) continue;
+      const key = word.toLowerCase();
+      const entry = words.get(key) || { term: word, count: 0, example: String(name).trim() };
+      entry.count += 1;
+      words.set(key, entry);
+    }
+  }
+  return Array.from(words.values())
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+// -------------------- Voices & languages --------------------
+const DEFAULT_ANNOUNCEMENT_LANGUAGE = "en";
+const VOICE_OPTION_KEYS = ["speaker", "length_scale", "noise_scale", "noise_w"];
+
+function listTtsVoices() {
+  return db.prepare(`SELECT * FROM tts_voices ORDER BY language, voice_key`).all()
+    .map((v) => ({ ...v, model_exists: fs.existsSync(resolveVoiceModel(v)) }));
+}
+
+function getTtsVoice(key) {
+  if (!key) return null;
+  return db.prepare(`SELECT * FROM tts_voices WHERE voice_key = ?`).get(String(key)) || null;
+}
+
+function resolveVoiceModel(voice) {
+  return voice?.model_path ? path.resolve(TTS_MODEL_DIR, voice.model_path) : VOICE_MODEL;
+}
+
+// Piper settings for a voice, with any non-null template options layered on top.
+// Only pass `tpl` for the template's own voice: a speaker id or speed tuned for one
+// model means nothing (or fails) on another language's model.
+function voiceSettingsFor(voice, tpl = null) {
+  const settings = { model: resolveVoiceModel(voice) };
+  for (const k of VOICE_OPTION_KEYS) {
+    const v = (tpl?.[k] ?? null) !== null ? tpl[k] : voice?.[k];
+    if (v !== undefined && v !== null) settings[k] = v;
+  }
+  return settings;
+}
+
+function getLocationVoiceKeys(locationId) {
+  const row = db.prepare(`SELECT announcement_voices FROM locations WHERE id = ?`).get(Number(locationId || 1));
+  let keys = null;
+  try {
+    keys = JSON.parse(row?.announcement_voices || "null");
+  } catch (_) { /* bad JSON: fall back to the default voice */ }
+  return Array.isArray(keys) && keys.length ? keys.map(String) : [DEFAULT_ANNOUNCEMENT_LANGUAGE];
+}
+
+function listTemplateVariants(templateKey) {
+  const out = {};
+  for (const row of db.prepare(`SELECT language, template FROM announcement_template_variants WHERE template_key = ?`).all(String(templateKey))) {
+    out[row.language] = row.template;
+  }
+  return out;
+}
+
+// Free text cannot be translated, so it is spoken once in the location's first voice.
+function plainTextUtterances(text, locationId) {
+  const voice = getTtsVoice(getLocationVoiceKeys(locationId)[0]) || getTtsVoice(DEFAULT_ANNOUNCEMENT_LANGUAGE);
+  return [{ text, language: voice?.language || DEFAULT_ANNOUNCEMENT_LANGUAGE, voice: voiceSettingsFor(voice) }];
+}
+
+// One utterance per voice in the location's sequence that has text in its language.
+// `baseText` is the already-rendered default-language message; a template voice_key
+// replaces the location's voice for that voice's language. The template's speaker,
+// length_scale and noise options apply to its own voice (the pinned one, else the
+// default-language one); every other voice keeps its catalog settings.
+function renderTemplateUtterances(tpl, locationId, vars, baseText) {
+  const variants = tpl?.variants || (tpl?.key ? listTemplateVariants(tpl.key) : {});
+  const pinned = getTtsVoice(tpl?.voice_key);
+  const tplLanguage = pinned?.language || DEFAULT_ANNOUNCEMENT_LANGUAGE;
+  const out = [];
+  for (const key of getLocationVoiceKeys(locationId)) {
+    let voice = getTtsVoice(key);
+    if (!voice) continue;
+    if (pinned && pinned.language === voice.language) voice = pinned;
+    const text = voice.language === DEFAULT_ANNOUNCEMENT_LANGUAGE
+      ? baseText
+      : (variants[voice.language] ? renderTemplate(variants[voice.language], vars) : "");
+    if (text) out.push({ text, language: voice.language, voice: voiceSettingsFor(voice, voice.language === tplLanguage ? tpl : null) });
+  }
+  if (!out.length) {
+    const voice = pinned || getTtsVoice(DEFAULT_ANNOUNCEMENT_LANGUAGE);
+    out.push({ text: baseText, language: voice?.language || DEFAULT_ANNOUNCEMENT_LANGUAGE, voice: voiceSettingsFor(voice, tpl) });
+  }
+  return out;
+}
+
+// -------------------- Announcement history --------------------
+function recordAnnouncementHistory(entry) {
+  const result = db.prepare(`
+    INSERT INTO announcement_history (
+      location_id, text, template_key, source, triggered_by, ip,
+      status, skip_reason, zones, synth_ms, play_ms, cached, error, replay_of, priority, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.location_id ?? null,
+    entry.text,
+    entry.template_key || null,
+    entry.source || "manual",
+    entry.triggered_by || null,
+    entry.ip || null,
+    entry.status,
+    entry.skip_reason || null,
+    entry.zones?.length ? JSON.stringify(entry.zones) : null,
+    entry.synth_ms ?? null,
+    entry.play_ms ?? null,
+    entry.cached === undefined || entry.cached === null ? null : (entry.cached ? 1 : 0),
+    entry.error || null,
+    entry.replay_of || null,
+    entry.priority || "normal",
+    nowISO()
+  );
+  const id = Number(result.lastInsertRowid);
+  broadcastLiveEvent(entry.location_id, "announcement", {
+    history_id: id, status: entry.status, text: entry.text, source: entry.source || "manual",
+    priority: entry.priority || "normal", zones: entry.zones || []
+  });
+  return id;
+}
+
+function formatAnnouncementHistory(row) {
+  if (!row) return null;
+  return { ...row, zones: normalizeZoneList(row.zones), cached: row.cached === null ? null : !!row.cached };
+}
+
+// Who asked for an announcement, for the history log.
+function announcementTrigger(req) {
+  const body = req.body || {};
+  return {
+    triggeredBy: normalizeInitials(body.initials) || body.device_mode || null,
+    ip: getIP(req)
+  };
+}
+
+// Quiet hours and per-key cooldowns, shared by server playback and /api/tts/render.
+// Emergencies always pass quiet hours; otherwise a quiet window either skips the
+// announcement or (downgrade) lets staff-triggered ones through at low priority.
+function checkAnnouncementGate(state, { priority, source, dedupeKey, cooldownMs }) {
+  const quiet = priority === "emergency" ? null : getActiveQuietWindow(state.locationId);
+  if (quiet && (quiet.mode === "suppress" || AUTOMATIC_ANNOUNCEMENT_SOURCES.has(source))) {
+    return { skip: "quiet_hours", skip_reason: `quiet hours: ${quiet.name}`, quiet };
+  }
+
+  // In-memory dedupe to prevent multi-device repeats
+  if (cooldownMs > 0) {
+    const now = Date.now();
+    const last = state.recent.get(dedupeKey) || 0;
+    if ((now - last) < cooldownMs) return { skip: "deduped", skip_reason: "deduped" };
+    state.recent.set(dedupeKey, now);
+  }
+  return { skip: null, downgrade: !!quiet };
+}
+
+function speakAnnouncement(text, opts = {}) {
+  const cleaned = String(text || "").replace(/\s+/g, " ").trim();
+  if (!cleaned) return Promise.resolve({ ok: false, error: "empty text" });
+
+  const dedupeKey = String(opts.dedupeKey || cleaned);
+  const cooldownMs = Math.max(0, Number(opts.cooldownMs ?? 0));
+  // A template's own lead-in sound and delay replace the caller's ping defaults.
+  const tpl = opts.templateKey ? getAnnouncementTemplate(opts.templateKey) : null;
+  const leadIn = opts.leadIn !== undefined ? opts.leadIn : (tpl?.lead_in || null);
+  const pingDelayMs = Math.max(0, Number(tpl?.lead_in_delay_ms ?? opts.pingDelayMs ?? 2000));
+  let priority = normalizeAnnouncementPriority(opts.priority) || "normal";
+  let skipPing = false;
+  const state = getAnnouncerState(opts.locationId);
+  const audio = resolveAudioZones(opts.locationId, opts.zones);
+  if (audio.fallback) {
+    console.warn(`[ZONES] Location ${opts.locationId || 1}: zones ${audio.unknown.join(", ")} are not configured; using enabled zones`);
+  }
+  const history = {
+    location_id: Number(opts.locationId || 1),
+    text: cleaned,
+    template_key: opts.templateKey,
+    source: opts.source,
+    triggered_by: opts.triggeredBy,
+    ip: opts.ip,
+    zones: audio.zones,
+    replay_of: opts.replayOf,
+    priority
+  };
+  if (!audio.devices.length) {
+    recordAnnouncementHistory({ ...history, status: "failed", error: "no enabled audio zones" });
+    return Promise.resolve({ ok: false, error: "no enabled audio zones" });
+  }
+
+  const gate = checkAnnouncementGate(state, { priority, source: opts.source, dedupeKey, cooldownMs });
+  if (gate.skip) {
+    const historyId = recordAnnouncementHistory({ ...history, status: "skipped", skip_reason: gate.skip_reason });
+    return Promise.resolve({ ok: true, skipped: true, reason: gate.skip, quiet_window: gate.quiet || undefined, text: cleaned, at: nowISO(), history_id: historyId });
+  }
+  if (gate.downgrade) {
+    priority = "low";
+    skipPing = true;
+    history.priority = priority;
+  }
+
+  // Lexicon respellings are applied here, after the gate, so dedupe and history use the real names.
+  const utterances = opts.utterances?.length ? opts.utterances : plainTextUtterances(cleaned, opts.locationId);
+  const done = new Promise((resolve, reject) => {
+    enqueueAnnouncement(state, {
+      id: ++announcementSeq,
+      locationId: state.locationId,
+      text: cleaned,
+      utterances: opts.pronounce === false ? utterances : pronounceUtterances(utterances),
+      priority,
+      skipPing,
+      leadIn,
+      source: opts.source,
+      templateKey: opts.templateKey,
+      tag: opts.tag || null,
+      zones: audio.zones,
+      devices: audio.devices,
+      pingDelayMs,
+      enqueuedAt: nowISO(),
+      controller: new AbortController(),
+      resolve,
+      reject
+    });
+  });
+
+  return done.then(
+    (spoken) => {
+      const historyId = recordAnnouncementHistory({
+        ...history,
+        status: "played",
+        synth_ms: spoken?.synth_ms,
+        play_ms: spoken?.play_ms,
+        cached: spoken?.cached,
+        error: spoken?.errors?.length ? spoken.errors.join("; ") : null
+      });
+      return { ok: true, text: cleaned, at: state.lastAnnouncement.at, zones: audio.zones, history_id: historyId };
+    },
+    (e) => {
+      if (e?.code === "CANCELLED" || e?.code === "PREEMPTED") {
+        const status = e.code === "CANCELLED" ? "cancelled" : "preempted";
+        const historyId = recordAnnouncementHistory({ ...history, status, error: e.message });
+        // Losing to an emergency is the queue working as intended, not a failed request.
+        return { ok: status === "preempted", [status]: true, error: e.message, text: cleaned, history_id: historyId };
+      }
+      recordAnnouncementHistory({ ...history, status: "failed", error: String(e?.message || e) });
+      throw e;
+    }
+  );
+}
+
+
+const TEMPLATE_COLUMNS = "key, name, template, enabled, cooldown_seconds, zones, offset_minutes, voice_key, speaker, length_scale, noise_scale, noise_w, lead_in, lead_in_delay_ms, volume_offset, updated_at";
+function getAnnouncementTemplate(key) {
+  const row = db.prepare(`SELECT ${TEMPLATE_COLUMNS} FROM announcement_templates WHERE key = ?`).get(key);
+  return row ? withTemplateZones(row, listTemplateVariants(row.key)) : null;
+}
+function listAnnouncementTemplates() {
+  // One variants query for the whole list; the auto announcer calls this every tick.
+  const variants = new Map();
+  for (const v of db.prepare(`SELECT template_key, language, template FROM announcement_template_variants`).all()) {
+    if (!variants.has(v.template_key)) variants.set(v.template_key, {});
+    variants.get(v.template_key)[v.language] = v.template;
+  }
+  return db.prepare(`SELECT ${TEMPLATE_COLUMNS} FROM announcement_templates ORDER BY key`).all()
+    .map((row) => withTemplateZones(row, variants.get(row.key) || {}));
+}
+// Templates with an offset are auto-announcer stages, ordered as they fire around a block.
+function listAutoStageTemplates() {
+  return listAnnouncementTemplates()
+    .filter((t) => t.enabled && t.offset_minutes !== null && t.offset_minutes !== undefined)
+    .sort((a, b) => a.offset_minutes - b.offset_minutes);
+}
+// Accepts null/"" (not an auto stage) or a whole number of minutes within 3 hours of the block start.
+function normalizeOffsetMinutes(value) {
+  if (value === undefined || value === null || value === "") return { ok: true, value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || Math.abs(n) > 180) return { ok: false };
+  return { ok: true, value: n };
+}
+// zones is stored as a JSON array of audio zone keys; null targets every zone.
+function withTemplateZones(row, variants) {
+  return { ...row, zones: normalizeZoneList(row.zones), variants };
+}
+// Piper options must be finite numbers (speaker a whole number) or empty.
+function validateTemplateVoiceOptions(t) {
+  if (t.voice_key && !getTtsVoice(t.voice_key)) return "Unknown voice_key";
+  for (const k of VOICE_OPTION_KEYS) {
+    const v = t[k];
+    if (v === undefined || v === null || v === "") continue;
+    if (!Number.isFinite(Number(v)) || Number(v) < 0) return `${k} must be a non-negative number`;
+    if (k === "speaker" && !Number.isInteger(Number(v))) return "speaker must be a whole number";
+  }
+  if (t.variants !== undefined && (typeof t.variants !== "object" || Array.isArray(t.variants))) {
+    return "variants must be an object of language: template";
+  }
+  return null;
+}
+// lead_in is "ping", "none" or an uploaded clip; the delay after it is 0-10 seconds.
+function validateTemplateLeadIn(t) {
+  const leadIn = String(t.lead_in || "").trim().toLowerCase();
+  if (leadIn && !LEAD_IN_BUILTINS.has(leadIn) && !getAudioClip(leadIn)) return `Unknown lead_in clip: ${leadIn}`;
+  const delay = t.lead_in_delay_ms;
+  if (delay !== undefined && delay !== null && delay !== "" && (!Number.isInteger(Number(delay)) || Number(delay) < 0 || Number(delay) > 10000)) {
+    return "lead_in_delay_ms must be a whole number of milliseconds between 0 and 10000";
+  }
+  const missing = [t.template, ...Object.values(t.variants || {})].flatMap(listTemplateClips).filter((k) => !getAudioClip(k));
+  if (missing.length) return `Unknown clip: ${missing.map((k) => `{clip:${k}}`).join(", ")}`;
+  const offset = t.volume_offset;
+  if (offset !== undefined && offset !== null && offset !== "" && (!Number.isInteger(Number(offset)) || Math.abs(Number(offset)) > 100)) {
+    return "volume_offset must be a whole number between -100 and 100";
+  }
+  return null;
+}
+function upsertAnnouncementTemplate({ key, name, template, enabled, cooldown_seconds, zones, offset_minutes, voice_key, speaker, length_scale, noise_scale, noise_w, lead_in, lead_in_delay_ms, volume_offset, variants }) {
+  const now = nowISO();
+  const zoneList = normalizeZoneList(zones);
+  const optNum = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+  db.prepare(`
+    INSERT INTO announcement_templates (
+      key, name, template, enabled, cooldown_seconds, zones, offset_minutes,
+      voice_key, speaker, length_scale, noise_scale, noise_w, lead_in, lead_in_delay_ms, volume_offset, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      name=excluded.name,
+      template=excluded.template,
+      enabled=excluded.enabled,
+      cooldown_seconds=excluded.cooldown_seconds,
+      zones=excluded.zones,
+      offset_minutes=excluded.offset_minutes,
+      voice_key=excluded.voice_key,
+      speaker=excluded.speaker,
+      length_scale=excluded.length_scale,
+      noise_scale=excluded.noise_scale,
+      noise_w=excluded.noise_w,
+      lead_in=excluded.lead_in,
+      lead_in_delay_ms=excluded.lead_in_delay_ms,
+      volume_offset=excluded.volume_offset,
+      updated_at=excluded.updated_at
+  `).run(
+    String(key),
+    String(name || key),
+    String(template || ""),
+    enabled ? 1 : 0,
+    Number(cooldown_seconds ?? 20),
+    zoneList ? JSON.stringify(zoneList) : null,
+    normalizeOffsetMinutes(offset_minutes).value ?? null,
+    voice_key || null,
+    optNum(speaker),
+    optNum(length_scale),
+    optNum(noise_scale),
+    optNum(noise_w),
+    lead_in ? String(lead_in).trim().toLowerCase() : null,
+    optNum(lead_in_delay_ms),
+    optNum(volume_offset),
+    now
+  );
+  // variants: { es: "..." }; an empty string removes that language.
+  if (variants && typeof variants === "object") {
+    for (const [language, text] of Object.entries(variants)) {
+      const lang = String(language).trim().toLowerCase();
+      if (!lang || lang === DEFAULT_ANNOUNCEMENT_LANGUAGE) continue;
+      if (String(text || "").trim()) {
+        db.prepare(`
+          INSERT INTO announcement_template_variants (template_key, language, template, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(template_key, language) DO UPDATE SET template=excluded.template, updated_at=excluded.updated_at
+        `).run(String(key), lang, String(text).trim(), now);
+      } else {
+        db.prepare(`DELETE FROM announcement_template_variants WHERE template_key = ? AND language = ?`).run(String(key), lang);
+      }
+    }
+  }
+  return getAnnouncementTemplate(key);
+}
+// -------------------- Template variables --------------------
+// Every placeholder a template may use. Callers fill what they know; anything
+// missing renders blank. Saving a template with a name outside this list fails.
+const TEMPLATE_VARIABLES = [
+  { name: "time12", description: "Block start time, e.g. 4:30 PM", example: "4:30 PM" },
+  { name: "start_time", description: "Block start time as HH:MM", example: "16:30" },
+  { name: "date", description: "Roster date (YYYY-MM-DD)", example: "2026-01-15" },
+  { name: "count", description: "Swimmers scheduled in the block", example: 12 },
+  { name: "minutes", description: "Minutes between this stage and the block start", example: 5 },
+  { name: "minutes_until", description: "Minutes from now until the block starts", example: 3, time_varying: true },
+  { name: "instructors", description: "Instructors teaching the block", example: ["Ana", "Ben"] },
+  { name: "instructor_count", description: "Number of instructors in the block", example: 2 },
+  { name: "zones", description: "Pool zones in use during the block", example: [1, 2] },
+  { name: "first_day_swimmers", description: "Swimmers in the block flagged as new", example: ["Mia Lopez"] },
+  { name: "first_day_count", description: "Number of first-day swimmers in the block", example: 1 },
+  { name: "next_time12", description: "Start time of the following block", example: "5:00 PM" },
+  { name: "next_start_time", description: "Following block start as HH:MM", example: "17:00" },
+  { name: "location_name", description: "Location name", example: "Westchester" },
+  { name: "location", description: "Alias of location_name", example: "Westchester" },
+  { name: "swimmer_name", description: "Swimmer being paged (call parent)", example: "Mia Lopez" },
+  { name: "instructor_name", description: "Instructor of the paged swimmer", example: "Ana" },
+];
+const TEMPLATE_VARIABLE_NAMES = new Set(TEMPLATE_VARIABLES.map((v) => v.name));
+// Variables whose value depends on when the template renders, not just on the block.
+const TIME_VARYING_TEMPLATE_VARIABLES = new Set(TEMPLATE_VARIABLES.filter((v) => v.time_varying).map((v) => v.name));
+const TEMPLATE_TOKEN_RE = /\{([#^/]?)([a-zA-Z0-9_]+)((?:\|[^{}|]*)*)\}/g;
+
+// Lists read naturally when spoken: "Ana, Ben and Cal".
+function spokenList(items) {
+  const list = items.map((v) => String(v).trim()).filter(Boolean);
+  if (list.length <= 1) return list.join("");
+  return `${list.slice(0, -1).join(", ")} and ${list[list.length - 1]}`;
+}
+function isTemplateValueTruthy(v) {
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === "number") return v !== 0;
+  return v !== undefined && v !== null && v !== false && String(v).trim() !== "";
+}
+function templateValueCount(v) {
+  return Array.isArray(v) ? v.length : Number(v);
+}
+
+// Returns the placeholders outside TEMPLATE_VARIABLES plus any malformed sections.
+function checkTemplateSyntax(tpl) {
+  const unknown = new Set();
+  const errors = [];
+  const open = [];
+  for (const m of String(tpl || "").matchAll(TEMPLATE_TOKEN_RE)) {
+    const [, sigil, name, forms] = m;
+    if (!TEMPLATE_VARIABLE_NAMES.has(name)) unknown.add(name);
+    if (sigil === "#" || sigil === "^") {
+      open.push(name);
+    } else if (sigil === "/") {
+      const last = open.pop();
+      if (last !== name) errors.push(last ? `{/${name}} closes {#${last}}` : `{/${name}} has no opening section`);
+    } else if (forms && forms.split("|").length !== 3) {
+      errors.push(`{${name}${forms}} needs exactly two forms, e.g. {${name}|swimmer|swimmers}`);
+    }
+  }
+  for (const name of open) errors.push(`{#${name}} is never closed`);
+  return { unknown: [...unknown], errors };
+}
+
+// {name} substitutes (lists are joined), {#name}...{/name} renders only when name
+// is non-empty/non-zero, {^name}...{/name} only when it is, and {name|one|many}
+// picks a word by the value (or list length).
+function renderTemplate(tpl, vars = {}) {
+  const renderSections = (s) => s.replace(/\{([#^])([a-zA-Z0-9_]+)\}([\s\S]*?)\{\/\2\}/g, (_m, sigil, k, body) => {
+    const show = isTemplateValueTruthy(vars?.[k]) === (sigil === "#");
+    return show ? renderSections(body) : "";
+  });
+  return renderSections(String(tpl || ""))
+    .replace(/\{([a-zA-Z0-9_]+)\|([^{}|]*)\|([^{}|]*)\}/g, (_m, k, one, many) => (templateValueCount(vars?.[k]) === 1 ? one : many))
+    .replace(/\{([a-zA-Z0-9_]+)\}/g, (_m, k) => {
+      const v = vars?.[k];
+      if (Array.isArray(v)) return spokenList(v);
+      return (v === undefined || v === null) ? "" : String(v);
+    }).replace(/\s+/g, " ").trim();
+}
+
+// Roster-derived variables for one block; start_time may be omitted for location-only context.
+function buildTemplateVars(location, date, start_time, extra = {}) {
+  const vars = {
+    date,
+    location_name: location?.name || "",
+    location: location?.name || "",
+    ...extra
+  };
+  if (!location || !start_time) return vars;
+
+  const rows = db.prepare(`
+    SELECT swimmer_name, instructor_name, zone, flag_new
+    FROM roster
+    WHERE date = ? AND start_time = ? AND location_id = ?
+    ORDER BY swimmer_name
+  `).all(date, start_time, location.id);
+  const instructors = [...new Set(rows.map((r) => String(r.instructor_name || "").trim()).filter(Boolean))].sort();
+  const zones = [...new Set(rows.map((r) => r.zone).filter((z) => z !== null && z !== undefined))].sort((a, b) => a - b);
+  const firstDay = rows.filter((r) => r.flag_new).map((r) => r.swimmer_name);
+  const next = db.prepare(`
+    SELECT MIN(start_time) AS t FROM roster
+    WHERE date = ? AND location_id = ? AND start_time > ?
+  `).get(date, location.id, start_time);
+  const startMs = parseZonedDateTimeMs(date, start_time, getLocationTimeZone(location));
+
+  return {
+    ...vars,
+    start_time,
+    time12: formatTime12h(start_time),
+    count: rows.length,
+    instructors,
+    instructor_count: instructors.length,
+    zones,
+    first_day_swimmers: firstDay,
+    first_day_count: firstDay.length,
+    next_start_time: next?.t || "",
+    next_time12: next?.t ? formatTime12h(next.t) : "",
+    minutes_until: Number.isFinite(startMs) ? Math.max(0, Math.round((startMs - Date.now()) / 60000)) : "",
+    ...extra
+  };
+}
+
+// -------------------- API --------------------
+app.get("/api/status", (req, res) => {
+  const activeDate = activeOrToday();
+  const statusLocId = req.query.location_id ? Number(req.query.location_id) : null;
+  const managerDateRange = getManagerDateRange();
+
+  const sheets = findRollSheets(statusLocId ? getLocationById(statusLocId) : null, activeDate);
+
+  res.json({
+    ok: true,
+    todayISO: todayISO(),
+    activeDate,
+    expectedPdf: sheets.pdf?.filename || sheets.expectedPdf,
+    pdfExists: !!sheets.pdf,
+    pdfSizeBytes: sheets.pdf?.size || 0,
+    htmlExists: !!sheets.html,
+    htmlSizeBytes: sheets.html?.size || 0,
+    piperBinExists: fs.existsSync(PIPER_BIN),
+    voiceModelExists: fs.existsSync(VOICE_MODEL),
+    tts: {
+      backends: getTtsBackendHealth(),
+      chain: getLocationTtsBackends(statusLocId || 1)
+    },
+    announcerHealth: getAnnouncerHealth().status,
+    managerDateRange,
+    lastAnnouncement: statusLocId ? getAnnouncerState(statusLocId).lastAnnouncement : lastAnnouncement
+  });
+});
+
+// Announcement templates (editable in app)
+app.get("/api/announcement-templates", (req, res) => {
+  try {
+    res.json({ ok: true, templates: listAnnouncementTemplates() });
   } catch (e) {
     res.status(500).json({ ok: false, error: "templates failed", details: String(e?.stack || e?.message || e) });
   }
@@ -1507,16 +3477,47 @@ app.post("/api/announcement-templates", (req, res) => {
   try {
     const { templates } = req.body || {};
     if (!Array.isArray(templates)) return res.status(400).json({ ok: false, error: "missing templates[]" });
+    const badOffset = templates.find((t) => t && ("offset_minutes" in t) && !normalizeOffsetMinutes(t.offset_minutes).ok);
+    if (badOffset) {
+      return res.status(400).json({ ok: false, error: "offset_minutes must be a whole number of minutes between -180 and 180", details: { key: badOffset.key } });
+    }
+    for (const t of templates) {
+      const voiceError = t ? validateTemplateVoiceOptions(t) : null;
+      if (voiceError) return res.status(400).json({ ok: false, error: voiceError, details: { key: t.key } });
+      const leadInError = t ? validateTemplateLeadIn(t) : null;
+      if (leadInError) return res.status(400).json({ ok: false, error: leadInError, details: { key: t.key } });
+      const texts = { [DEFAULT_ANNOUNCEMENT_LANGUAGE]: t?.template, ...(t?.variants || {}) };
+      for (const [language, text] of Object.entries(texts)) {
+        const { unknown, errors } = checkTemplateSyntax(text);
+        if (unknown.length) {
+          return res.status(400).json({ ok: false, error: `Unknown template variable: ${unknown.map((n) => `{${n}}`).join(", ")}`, details: { key: t.key, language, unknown } });
+        }
+        if (errors.length) return res.status(400).json({ ok: false, error: errors[0], details: { key: t.key, language, errors } });
+      }
+    }
 
     const tx = db.transaction((arr) => {
       for (const t of arr) {
         if (!t?.key) continue;
+        // Fields the caller omits keep their stored value (the settings modal only sends text).
+        const existing = getAnnouncementTemplate(t.key);
         upsertAnnouncementTemplate({
           key: t.key,
           name: t.name || t.key,
           template: t.template || "",
           enabled: (t.enabled !== false),
           cooldown_seconds: Number(t.cooldown_seconds ?? 20),
+          zones: ("zones" in t) ? t.zones : existing?.zones,
+          offset_minutes: ("offset_minutes" in t) ? t.offset_minutes : existing?.offset_minutes,
+          voice_key: ("voice_key" in t) ? t.voice_key : existing?.voice_key,
+          speaker: ("speaker" in t) ? t.speaker : existing?.speaker,
+          length_scale: ("length_scale" in t) ? t.length_scale : existing?.length_scale,
+          noise_scale: ("noise_scale" in t) ? t.noise_scale : existing?.noise_scale,
+          noise_w: ("noise_w" in t) ? t.noise_w : existing?.noise_w,
+          lead_in: ("lead_in" in t) ? t.lead_in : existing?.lead_in,
+          lead_in_delay_ms: ("lead_in_delay_ms" in t) ? t.lead_in_delay_ms : existing?.lead_in_delay_ms,
+          volume_offset: ("volume_offset" in t) ? t.volume_offset : existing?.volume_offset,
+          variants: t.variants,
         });
       }
     });
@@ -1529,6 +3530,642 @@ app.post("/api/announcement-templates", (req, res) => {
   }
 });
 
+app.get("/api/announcement-templates/variables", (req, res) => {
+  res.json({ ok: true, variables: TEMPLATE_VARIABLES });
+});
+
+// Renders a stored template (or draft text) against a real block without speaking.
+// Defaults to the location's next block today when start_time is omitted.
+app.post("/api/announcement-templates/preview", (req, res) => {
+  try {
+    const { key, template, variants, location_id, date, start_time, swimmer_name } = req.body || {};
+    const locId = Number(location_id || 1);
+    const location = getLocationById(locId);
+    if (!location) return res.status(400).json({ ok: false, error: "Unknown location" });
+
+    if (!key && template === undefined) return res.status(400).json({ ok: false, error: "key or template is required" });
+    const stored = key ? getAnnouncementTemplate(key) : null;
+    if (key && !stored && template === undefined) return res.status(404).json({ ok: false, error: "Template not found" });
+    const text = template !== undefined ? String(template || "") : stored.template;
+    const { unknown, errors } = checkTemplateSyntax(text);
+
+    const timeZone = getLocationTimeZone(location);
+    const day = date || todayISOInTimeZone(timeZone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
+    let blockTime = start_time || null;
+    if (!blockTime) {
+      const row = db.prepare(`
+        SELECT MIN(start_time) AS t FROM roster
+        WHERE date = ? AND location_id = ? AND start_time >= ?
+      `).get(day, locId, day === todayISOInTimeZone(timeZone) ? nowHHMMInTimeZone(timeZone) : "00:00");
+      blockTime = row?.t || null;
+    }
+
+    const extra = {};
+    if (swimmer_name) extra.swimmer_name = String(swimmer_name);
+    if (stored?.offset_minutes !== null && stored?.offset_minutes !== undefined) extra.minutes = Math.abs(stored.offset_minutes);
+    const vars = buildTemplateVars(location, day, blockTime, extra);
+    const msg = renderTemplate(text, vars);
+
+    // Draft variants replace the stored ones so unsaved edits can be previewed too.
+    const utterances = variants && typeof variants === "object"
+      ? [{ text: msg, language: DEFAULT_ANNOUNCEMENT_LANGUAGE }].concat(
+          Object.entries(variants)
+            .filter(([lang, t]) => lang !== DEFAULT_ANNOUNCEMENT_LANGUAGE && String(t || "").trim())
+            .map(([lang, t]) => ({ text: renderTemplate(t, vars), language: lang })))
+      : renderTemplateUtterances(stored, locId, vars, msg).map((u) => ({ text: u.text, language: u.language }));
+
+    res.json({ ok: true, text: msg, utterances, date: day, start_time: blockTime, vars, unknown, errors });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "template preview failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Audio zones (named ALSA outputs per location)
+app.get("/api/audio-zones", (req, res) => {
+  try {
+    const locId = Number(req.query.location_id || 1);
+    res.json({ ok: true, location_id: locId, zones: listAudioZones(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "audio zones failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Replaces the location's zone list with the one supplied.
+app.post("/api/audio-zones", (req, res) => {
+  try {
+    const { location_id, zones } = req.body || {};
+    const locId = Number(location_id || 0);
+    if (!locId || !getLocationById(locId)) return res.status(400).json({ ok: false, error: "Invalid location" });
+    if (!Array.isArray(zones)) return res.status(400).json({ ok: false, error: "missing zones[]" });
+
+    const cleaned = [];
+    for (const z of zones) {
+      const zoneKey = String(z?.zone_key || z?.key || "").trim().toLowerCase();
+      if (!/^[a-z0-9_-]+$/.test(zoneKey)) {
+        return res.status(400).json({ ok: false, error: "invalid zone_key", details: { zone_key: z?.zone_key ?? z?.key ?? null } });
+      }
+      cleaned.push({
+        zone_key: zoneKey,
+        name: String(z.name || zoneKey).trim(),
+        alsa_device: String(z.alsa_device || "").trim() || null,
+        enabled: z.enabled !== false
+      });
+    }
+
+    const now = nowISO();
+    const tx = db.transaction((arr) => {
+      db.prepare(`DELETE FROM audio_zones WHERE location_id = ?`).run(locId);
+      const ins = db.prepare(`
+        INSERT INTO audio_zones (location_id, zone_key, name, alsa_device, enabled, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(location_id, zone_key) DO UPDATE SET
+          name=excluded.name,
+          alsa_device=excluded.alsa_device,
+          enabled=excluded.enabled,
+          updated_at=excluded.updated_at
+      `);
+      for (const z of arr) ins.run(locId, z.zone_key, z.name, z.alsa_device, z.enabled ? 1 : 0, now);
+    });
+    tx(cleaned);
+
+    audit(req, "update_audio_zones", { details: { location_id: locId, zones: cleaned.map((z) => z.zone_key) } });
+    res.json({ ok: true, location_id: locId, zones: listAudioZones(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "update audio zones failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Piper voice catalog (admin)
+app.get("/api/tts/voices", (req, res) => {
+  try {
+    res.json({ ok: true, default_language: DEFAULT_ANNOUNCEMENT_LANGUAGE, voices: listTtsVoices() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "voices failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/tts/voices", (req, res) => {
+  try {
+    const { voices } = req.body || {};
+    if (!Array.isArray(voices)) return res.status(400).json({ ok: false, error: "missing voices[]" });
+    for (const v of voices) {
+      const key = String(v?.voice_key || "").trim();
+      if (!/^[a-z0-9_-]+$/i.test(key)) return res.status(400).json({ ok: false, error: "invalid voice_key", details: { voice_key: v?.voice_key ?? null } });
+      if (!String(v.language || "").trim()) return res.status(400).json({ ok: false, error: "language required", details: { voice_key: key } });
+      const optError = validateTemplateVoiceOptions({ speaker: v.speaker, length_scale: v.length_scale, noise_scale: v.noise_scale, noise_w: v.noise_w });
+      if (optError) return res.status(400).json({ ok: false, error: optError, details: { voice_key: key } });
+      const modelPath = String(v.model_path || "").trim();
+      if (modelPath && !fs.existsSync(resolveVoiceModel({ model_path: modelPath }))) {
+        return res.status(400).json({ ok: false, error: "voice model not found", details: { voice_key: key, model_path: modelPath, model_dir: TTS_MODEL_DIR } });
+      }
+    }
+
+    const now = nowISO();
+    const optNum = (x) => (x === undefined || x === null || x === "" ? null : Number(x));
+    const tx = db.transaction((arr) => {
+      const up = db.prepare(`
+        INSERT INTO tts_voices (voice_key, name, language, model_path, speaker, length_scale, noise_scale, noise_w, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(voice_key) DO UPDATE SET
+          name=excluded.name,
+          language=excluded.language,
+          model_path=excluded.model_path,
+          speaker=excluded.speaker,
+          length_scale=excluded.length_scale,
+          noise_scale=excluded.noise_scale,
+          noise_w=excluded.noise_w,
+          updated_at=excluded.updated_at
+      `);
+      for (const v of arr) {
+        const key = String(v.voice_key).trim();
+        up.run(
+          key,
+          String(v.name || key).trim(),
+          String(v.language).trim().toLowerCase(),
+          String(v.model_path || "").trim() || null,
+          optNum(v.speaker),
+          optNum(v.length_scale),
+          optNum(v.noise_scale),
+          optNum(v.noise_w),
+          now
+        );
+      }
+    });
+    tx(voices);
+
+    audit(req, "update_tts_voices", { details: { voices: voices.map((v) => v.voice_key) } });
+    res.json({ ok: true, voices: listTtsVoices() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "update voices failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Voices a location announces in, in order (e.g. English then Spanish)
+app.get("/api/announcement-voices", (req, res) => {
+  try {
+    const locId = Number(req.query.location_id || 1);
+    res.json({ ok: true, location_id: locId, voices: getLocationVoiceKeys(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcement voices failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/announcement-voices", (req, res) => {
+  try {
+    const { location_id, voices } = req.body || {};
+    const locId = Number(location_id || 0);
+    if (!locId || !getLocationById(locId)) return res.status(400).json({ ok: false, error: "Invalid location" });
+    if (!Array.isArray(voices)) return res.status(400).json({ ok: false, error: "missing voices[]" });
+    const keys = Array.from(new Set(voices.map((v) => String(v || "").trim()).filter(Boolean)));
+    const unknown = keys.filter((k) => !getTtsVoice(k));
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown voices", details: { voices: unknown } });
+    // Piper cannot speak a voice whose model is missing (e.g. the seeded Spanish one before its model is copied in).
+    if (getLocationTtsBackends(locId).includes("piper")) {
+      const missing = keys.filter((k) => !fs.existsSync(resolveVoiceModel(getTtsVoice(k))));
+      if (missing.length) return res.status(400).json({ ok: false, error: "voice model not installed", details: { voices: missing, model_dir: TTS_MODEL_DIR } });
+    }
+
+    db.prepare(`UPDATE locations SET announcement_voices = ? WHERE id = ?`).run(keys.length ? JSON.stringify(keys) : null, locId);
+    audit(req, "update_announcement_voices", { details: { location_id: locId, voices: keys } });
+    res.json({ ok: true, location_id: locId, voices: getLocationVoiceKeys(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "update announcement voices failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Audio clip library: upload a WAV under a short key, then use it as a template
+// lead-in or inline as {clip:key}.
+function templatesUsingClip(key) {
+  return listAnnouncementTemplates()
+    .filter((t) => t.lead_in === key || [t.template, ...Object.values(t.variants || {})].some((text) => listTemplateClips(text).includes(key)))
+    .map((t) => t.key);
+}
+
+app.get("/api/audio-clips", (req, res) => {
+  try {
+    res.json({ ok: true, clips: listAudioClips() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "audio clips failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.get("/api/audio-clips/:key/audio", (req, res) => {
+  const clip = getAudioClip(req.params.key);
+  if (!clip || !clip.file_exists) return res.status(404).json({ ok: false, error: "clip not found" });
+  res.type("audio/wav");
+  res.sendFile(audioClipPath(clip.clip_key));
+});
+
+// Its own multer instance: the shared one has no size limit, so an oversized clip would be
+// buffered in RAM in full before it could be refused.
+const clipUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: CLIP_MAX_BYTES } });
+function receiveClipUpload(req, res, next) {
+  clipUpload.single("clip")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") return res.status(400).json({ ok: false, error: `clip is larger than ${CLIP_MAX_BYTES / 1024 / 1024} MB` });
+    next(err);
+  });
+}
+
+app.post("/api/audio-clips", receiveClipUpload, (req, res) => {
+  const tmpPath = path.join(CLIPS_DIR, `.upload-${process.pid}-${crypto.randomBytes(4).toString("hex")}.wav`);
+  try {
+    const { clip_key, name, initials } = req.body || {};
+    const key = normalizeClipKey(clip_key);
+    if (!key) return res.status(400).json({ ok: false, error: "clip_key must be 1-40 lowercase letters, digits, - or _ (not ping/none)" });
+    if (!req.file?.buffer?.length) return res.status(400).json({ ok: false, error: "missing clip file" });
+
+    fs.writeFileSync(tmpPath, req.file.buffer);
+    let info;
+    try {
+      info = describeClipWav(tmpPath);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    fs.renameSync(tmpPath, audioClipPath(key));
+
+    const now = nowISO();
+    const by = normalizeInitials(initials) || null;
+    db.prepare(`
+      INSERT INTO audio_clips (clip_key, name, bytes, duration_ms, sample_rate, channels, uploaded_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(clip_key) DO UPDATE SET
+        name=excluded.name, bytes=excluded.bytes, duration_ms=excluded.duration_ms,
+        sample_rate=excluded.sample_rate, channels=excluded.channels,
+        uploaded_by=excluded.uploaded_by, updated_at=excluded.updated_at
+    `).run(key, String(name || "").trim() || key, req.file.buffer.length, info.duration_ms, info.sample_rate, info.channels, by, now, now);
+
+    audit(req, "upload_audio_clip", { details: { clip_key: key, bytes: req.file.buffer.length, duration_ms: info.duration_ms } });
+    logActivity("upload_audio_clip", { initials: by, details: { clip_key: key } });
+    res.json({ ok: true, clip: getAudioClip(key) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "audio clip upload failed", details: String(e?.stack || e?.message || e) });
+  } finally {
+    try { fs.unlinkSync(tmpPath); } catch (_) { /* renamed or never written */ }
+  }
+});
+
+app.delete("/api/audio-clips/:key", (req, res) => {
+  try {
+    const clip = getAudioClip(req.params.key);
+    if (!clip) return res.status(404).json({ ok: false, error: "clip not found" });
+    const usedBy = templatesUsingClip(clip.clip_key);
+    if (usedBy.length) return res.status(409).json({ ok: false, error: "clip is used by templates", details: { templates: usedBy } });
+
+    db.prepare(`DELETE FROM audio_clips WHERE clip_key = ?`).run(clip.clip_key);
+    try { fs.unlinkSync(audioClipPath(clip.clip_key)); } catch (_) { /* already gone */ }
+    audit(req, "delete_audio_clip", { details: { clip_key: clip.clip_key } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "audio clip delete failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.get("/api/pronunciations", (req, res) => {
+  try {
+    res.json({ ok: true, pronunciations: listPronunciations() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pronunciations failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Roster names nobody has reviewed yet (no lexicon row, not even "sounds fine").
+app.get("/api/pronunciations/suggestions", (req, res) => {
+  try {
+    const locId = req.query.location_id ? Number(req.query.location_id) : null;
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit || 50)));
+    res.json({ ok: true, suggestions: suggestPronunciations(locId, limit) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pronunciation suggestions failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Upsert by term. Leaving respelling and phonemes empty records "reviewed, sounds fine".
+app.post("/api/pronunciations", (req, res) => {
+  try {
+    const { initials } = req.body || {};
+    const entry = {
+      term: String(req.body?.term || "").replace(/\s+/g, " ").trim(),
+      respelling: String(req.body?.respelling || "").replace(/\s+/g, " ").trim() || null,
+      phonemes: String(req.body?.phonemes || "").trim() || null
+    };
+    const invalid = validatePronunciation(entry);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const now = nowISO();
+    const by = normalizeInitials(initials) || null;
+    db.prepare(`
+      INSERT INTO pronunciations (term, respelling, phonemes, updated_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(term) DO UPDATE SET
+        term = excluded.term, respelling = excluded.respelling, phonemes = excluded.phonemes,
+        updated_by = excluded.updated_by, updated_at = excluded.updated_at
+    `).run(entry.term, entry.respelling, entry.phonemes, by, now, now);
+    pronunciationLexicon = null;
+
+    audit(req, "save_pronunciation", { details: entry });
+    res.json({ ok: true, pronunciation: db.prepare(`SELECT * FROM pronunciations WHERE term = ?`).get(entry.term) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pronunciation save failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.delete("/api/pronunciations/:id", (req, res) => {
+  try {
+    const row = db.prepare(`SELECT * FROM pronunciations WHERE id = ?`).get(Number(req.params.id));
+    if (!row) return res.status(404).json({ ok: false, error: "pronunciation not found" });
+    db.prepare(`DELETE FROM pronunciations WHERE id = ?`).run(row.id);
+    pronunciationLexicon = null;
+    audit(req, "delete_pronunciation", { details: { term: row.term } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pronunciation delete failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Speaks one name on the location's speakers ({ play: true }) or returns the WAV.
+// respelling/phonemes in the body try an unsaved pronunciation; otherwise the lexicon is used.
+app.post("/api/pronunciations/test", async (req, res) => {
+  try {
+    const { location_id, play, device_mode } = req.body || {};
+    const trial = {
+      term: String(req.body?.term || "").replace(/\s+/g, " ").trim(),
+      respelling: String(req.body?.respelling || "").trim() || null,
+      phonemes: String(req.body?.phonemes || "").trim() || null
+    };
+    const invalid = validatePronunciation(trial);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const locId = Number(location_id || 1);
+    if (!getLocationById(locId)) return res.status(400).json({ ok: false, error: "Unknown location" });
+
+    const spoken = trial.respelling || trial.phonemes ? pronunciationReplacement(trial) : applyPronunciations(trial.term);
+    const utterances = plainTextUtterances(trial.term, locId).slice(0, 1).map((u) => ({ ...u, text: spoken }));
+    audit(req, "test_pronunciation", { device_mode, details: { ...trial, spoken, play: !!play } });
+
+    if (play) {
+      const out = await speakAnnouncement(trial.term, {
+        locationId: locId,
+        utterances,
+        pronounce: false,
+        dedupeKey: `PRONOUNCE|${spoken}`,
+        cooldownMs: 0,
+        source: "pronounce-test",
+        ...announcementTrigger(req)
+      });
+      if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
+      return res.json({ ok: true, spoken, skipped: !!out.skipped, reason: out.reason });
+    }
+
+    const wav = await renderUtterancesToWav(utterances, getLocationTtsBackends(locId));
+    res.set({ "Cache-Control": "no-store", "X-Pronounced-Text": encodeURIComponent(spoken), "X-TTS-Cache": wav.cached ? "hit" : "miss" });
+    res.type("audio/wav");
+    res.sendFile(wav.path);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pronunciation test failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Self-test results and recent failures. ?run=1 (or POST) runs the self-test first.
+app.get("/api/announcer/health", async (req, res) => {
+  try {
+    if (req.query.run === "1" || !selfTestRuns.length) await runAnnouncerSelfTest();
+    res.json({ ok: true, ...getAnnouncerHealth() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcer health failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/announcer/health/self-test", async (req, res) => {
+  try {
+    await runAnnouncerSelfTest();
+    audit(req, "announcer_self_test", { details: { status: getAnnouncerHealth().status } });
+    res.json({ ok: true, ...getAnnouncerHealth() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcer self-test failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// TTS backend chain per location; an empty list restores the server default (TTS_BACKENDS).
+app.get("/api/tts/backends", (req, res) => {
+  try {
+    const locId = Number(req.query.location_id || 1);
+    res.json({ ok: true, location_id: locId, backends: getLocationTtsBackends(locId), available: getTtsBackendHealth(), default: DEFAULT_TTS_BACKENDS });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "tts backends failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/tts/backends", (req, res) => {
+  try {
+    const { location_id, backends } = req.body || {};
+    const locId = Number(location_id || 0);
+    if (!locId || !getLocationById(locId)) return res.status(400).json({ ok: false, error: "Invalid location" });
+    if (!Array.isArray(backends)) return res.status(400).json({ ok: false, error: "missing backends[]" });
+    const list = normalizeTtsBackendList(backends);
+    const unknown = list.filter((b) => !TTS_BACKENDS[b]);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown TTS backends", details: { backends: unknown, supported: Object.keys(TTS_BACKENDS) } });
+
+    db.prepare(`UPDATE locations SET tts_backends = ? WHERE id = ?`).run(list.length ? JSON.stringify(list) : null, locId);
+    audit(req, "update_tts_backends", { details: { location_id: locId, backends: list } });
+    res.json({ ok: true, location_id: locId, backends: getLocationTtsBackends(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "update tts backends failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Announcement volume per location: base level, ducking and time-of-day schedule.
+function announcementVolumeSettings(locId) {
+  const location = getLocationById(locId);
+  return {
+    location_id: locId,
+    volume: location?.announcement_volume ?? 100,
+    duck_control: location?.duck_control || null,
+    duck_volume: location?.duck_volume ?? null,
+    mode: VOLUME_MODE,
+    schedules: listVolumeSchedules(locId),
+    current: resolveAnnouncementVolume(locId)
+  };
+}
+
+app.get("/api/announcement-volume", (req, res) => {
+  try {
+    res.json({ ok: true, ...announcementVolumeSettings(Number(req.query.location_id || 1)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcement volume failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Fields the caller omits keep their value; schedules[] (when sent) replaces the list.
+app.post("/api/announcement-volume", (req, res) => {
+  try {
+    const body = req.body || {};
+    const locId = Number(body.location_id || 0);
+    const location = locId ? getLocationById(locId) : null;
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+
+    const pct = (v, max) => (v === null || v === "" ? null : (Number.isInteger(Number(v)) && Number(v) >= 0 && Number(v) <= max ? Number(v) : NaN));
+    const volume = "volume" in body ? pct(body.volume, MAX_ANNOUNCEMENT_VOLUME) : location.announcement_volume;
+    if (Number.isNaN(volume)) return res.status(400).json({ ok: false, error: `volume must be a whole percent between 0 and ${MAX_ANNOUNCEMENT_VOLUME}` });
+    const duckVolume = "duck_volume" in body ? pct(body.duck_volume, 100) : location.duck_volume;
+    if (Number.isNaN(duckVolume)) return res.status(400).json({ ok: false, error: "duck_volume must be a whole percent between 0 and 100" });
+    const duckControl = "duck_control" in body ? (String(body.duck_control || "").trim() || null) : location.duck_control;
+
+    let schedules = null;
+    if (body.schedules !== undefined) {
+      if (!Array.isArray(body.schedules)) return res.status(400).json({ ok: false, error: "schedules must be an array" });
+      schedules = [];
+      for (const w of body.schedules) {
+        const start = String(w?.start_time || "").trim();
+        const end = String(w?.end_time || "").trim();
+        const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!hhmm.test(start) || !hhmm.test(end) || start === end) {
+          return res.status(400).json({ ok: false, error: "schedule start_time and end_time must be different HH:MM times" });
+        }
+        const v = pct(w?.volume, MAX_ANNOUNCEMENT_VOLUME);
+        if (v === null || Number.isNaN(v)) return res.status(400).json({ ok: false, error: `schedule volume must be a whole percent between 0 and ${MAX_ANNOUNCEMENT_VOLUME}` });
+        const days = parseDaysOfWeek(w?.days_of_week);
+        schedules.push({ name: String(w?.name || "").trim() || null, days_of_week: days ? days.join(",") : null, start_time: start, end_time: end, volume: v });
+      }
+    }
+
+    const now = nowISO();
+    db.transaction(() => {
+      db.prepare(`UPDATE locations SET announcement_volume = ?, duck_control = ?, duck_volume = ? WHERE id = ?`)
+        .run(volume, duckControl, duckVolume, locId);
+      if (schedules) {
+        db.prepare(`DELETE FROM volume_schedules WHERE location_id = ?`).run(locId);
+        const ins = db.prepare(`
+          INSERT INTO volume_schedules (location_id, name, days_of_week, start_time, end_time, volume, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const w of schedules) ins.run(locId, w.name, w.days_of_week, w.start_time, w.end_time, w.volume, now, now);
+      }
+    })();
+
+    audit(req, "update_announcement_volume", { details: { location_id: locId, volume, duck_control: duckControl, duck_volume: duckVolume, schedules: schedules?.length ?? undefined } });
+    res.json({ ok: true, ...announcementVolumeSettings(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "update announcement volume failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// TTS cache (admin): inspect rendered WAVs, purge one key or everything
+app.get("/api/tts/cache", (req, res) => {
+  try {
+    const entries = listTtsCacheEntries();
+    res.json({
+      ok: true,
+      dir: TTS_CACHE_DIR,
+      max_bytes: TTS_CACHE_MAX_BYTES,
+      total_bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+      count: entries.length,
+      entries
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "tts cache failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.delete("/api/tts/cache", (req, res) => {
+  try {
+    const key = String(req.query?.key || req.body?.key || "").trim();
+    if (key && !/^[a-f0-9]+$/.test(key)) return res.status(400).json({ ok: false, error: "invalid key" });
+    const keys = key ? [key] : listTtsCacheEntries().map((e) => e.key);
+    const removed = keys.filter((k) => removeTtsCacheEntry(k)).length;
+    if (key && !removed) return res.status(404).json({ ok: false, error: "cache entry not found" });
+
+    audit(req, "tts_cache_purge", { details: { key: key || null, removed } });
+    res.json({ ok: true, removed });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "tts cache purge failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Returns the synthesized audio instead of playing it, so a tablet or a speaker on a
+// front-desk browser can play the announcement itself. Dedupe, cooldowns and quiet
+// hours are shared with server playback, so the two never double up.
+app.post("/api/tts/render", async (req, res) => {
+  try {
+    const { text, template_key, location_id, date, start_time, swimmer_name, language, format, device_mode } = req.body || {};
+    const fmt = String(format || "wav").toLowerCase();
+    if (!TTS_RENDER_FORMATS[fmt]) return res.status(400).json({ ok: false, error: "format must be wav, opus or mp3" });
+    const locId = Number(location_id || 1);
+    const location = getLocationById(locId);
+    if (!location) return res.status(400).json({ ok: false, error: "Unknown location" });
+    if (!String(text || "").trim() && !template_key) return res.status(400).json({ ok: false, error: "text or template_key is required" });
+
+    let msg;
+    let utterances;
+    let dedupeKey;
+    let cooldownMs;
+    if (template_key) {
+      const tpl = getAnnouncementTemplate(String(template_key));
+      if (!tpl) return res.status(404).json({ ok: false, error: "Template not found" });
+      if (!tpl.enabled) return res.json({ ok: true, skipped: true, reason: "disabled" });
+      const day = date || todayISOInTimeZone(getLocationTimeZone(location));
+      const extra = {};
+      if (swimmer_name) extra.swimmer_name = String(swimmer_name);
+      if (tpl.offset_minutes !== null && tpl.offset_minutes !== undefined) extra.minutes = Math.abs(tpl.offset_minutes);
+      const vars = buildTemplateVars(location, day, start_time || null, extra);
+      msg = renderTemplate(tpl.template, vars);
+      utterances = renderTemplateUtterances(tpl, locId, vars, msg);
+      // Same keys the server routes use, so a tablet render and a server page dedupe together.
+      dedupeKey = swimmer_name
+        ? `${tpl.key}|${String(swimmer_name).trim().toLowerCase()}`
+        : `${tpl.key}|${day}|${start_time || ""}`;
+      cooldownMs = Number(tpl.cooldown_seconds ?? 20) * 1000;
+    } else {
+      msg = String(text).replace(/\s+/g, " ").trim();
+      utterances = plainTextUtterances(msg, locId);
+      dedupeKey = `MANUAL|${msg}`;
+      cooldownMs = 2000;
+    }
+    if (!msg) return res.status(400).json({ ok: false, error: "empty text" });
+    if (language) {
+      utterances = utterances.filter((u) => u.language === String(language).toLowerCase());
+      if (!utterances.length) return res.status(400).json({ ok: false, error: `No ${language} text for this announcement` });
+    }
+
+    const trigger = announcementTrigger(req);
+    const history = {
+      location_id: locId,
+      text: msg,
+      template_key: template_key || null,
+      source: "render",
+      triggered_by: trigger.triggeredBy,
+      ip: trigger.ip
+    };
+    const gate = checkAnnouncementGate(getAnnouncerState(locId), { source: "render", dedupeKey, cooldownMs });
+    if (gate.skip) {
+      const historyId = recordAnnouncementHistory({ ...history, status: "skipped", skip_reason: gate.skip_reason });
+      return res.json({ ok: true, skipped: true, reason: gate.skip, quiet_window: gate.quiet || undefined, history_id: historyId });
+    }
+
+    let wav;
+    let filePath;
+    try {
+      wav = await renderUtterancesToWav(pronounceUtterances(utterances), getLocationTtsBackends(locId));
+      filePath = await transcodeCachedWav(wav, fmt);
+    } catch (e) {
+      recordAnnouncementHistory({ ...history, status: "failed", error: e?.message || String(e) });
+      throw e;
+    }
+    const historyId = recordAnnouncementHistory({ ...history, status: "rendered", synth_ms: wav.synth_ms, cached: wav.cached });
+
+    audit(req, "tts_render", { device_mode, details: { text: msg, template_key: template_key || null, format: fmt, location_id: locId } });
+    res.set({
+      "Cache-Control": "no-store",
+      "X-Announcement-Text": encodeURIComponent(utterances.filter((u) => wav.languages.includes(u.language)).map((u) => u.text).join(" ")),
+      "X-Announcement-Languages": wav.languages.join(","),
+      "X-Announcement-History-Id": String(historyId),
+      "X-TTS-Cache": wav.cached ? "hit" : "miss"
+    });
+    res.type(TTS_RENDER_FORMATS[fmt].type);
+    res.sendFile(filePath);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "tts render failed", details: String(e?.stack || e?.message || e) });
+  }
+});
 
 app.post("/api/set-active-date", (req, res) => {
   try {
@@ -1564,66 +4201,46 @@ app.get("/api/manager-date-range", (req, res) => {
   }
 });
 
+// Imports the active date's PDF roll sheet already on the server (see findRollSheets)
+// through the upload pipeline. mode "merge" keeps attendance already taken; "replace" is
+// the default. Without a location_id the session's (or the first) location is used.
 app.post("/api/import-today", async (req, res) => {
   try {
-    const pdf = await getTodayPdfText();
-    if (!pdf.ok) return res.status(400).json({ ok: false, error: pdf.error, details: pdf.details, filename: pdf.filename });
-
-    const lines = normalizeWhitespaceLines(pdf.text);
-    const parsed = parseRosterFromLines(lines);
-
-    const date = activeOrToday();
-    const now = nowISO();
+    const mode = String(req.body?.mode || req.query.mode || "replace").toLowerCase();
+    if (!["replace", "merge"].includes(mode)) {
+      return res.status(400).json({ ok: false, error: "mode must be replace or merge" });
+    }
+    const locId = parseLocationId(req.body?.location_id || req.session?.location_id || 1);
+    if (!locId) return res.status(400).json({ ok: false, error: "Invalid location" });
+    const location = getLocationById(locId);
+    const sheets = findRollSheets(location, activeOrToday());
+    if (!sheets.pdf) {
+      return res.status(400).json({ ok: false, error: "PDF not found", filename: sheets.expectedPdf, dir: getScheduleDir(location) });
+    }
 
-    const ins = db.prepare(`
-      INSERT INTO roster (
-        date, start_time, swimmer_name,
-        instructor_name, zone, program, age_text,
-        attendance, attendance_at, attendance_auto_absent,
-        is_addon,
-        flag_new, flag_makeup, flag_policy, flag_owes, flag_trial,
-        created_at, updated_at
-      ) VALUES (
-        ?, ?, ?,
-        ?, ?, ?, ?,
-        NULL, NULL, 0,
-        0,
-        ?, ?, ?, ?, ?,
-        ?, ?
-      )
-      ON CONFLICT(location_id, date, start_time, swimmer_name) DO UPDATE SET
-        instructor_name=excluded.instructor_name,
-        zone=excluded.zone,
-        program=excluded.program,
-        age_text=excluded.age_text,
-        attendance_auto_absent=excluded.attendance_auto_absent,
-        flag_new=excluded.flag_new,
-        flag_makeup=excluded.flag_makeup,
-        flag_policy=excluded.flag_policy,
-        flag_owes=excluded.flag_owes,
-        flag_trial=excluded.flag_trial,
-        updated_at=excluded.updated_at
-    `);
+    let prepared = null;
+    try {
+      prepared = await preparePdfRosterImport(fs.readFileSync(sheets.pdf.fullPath), sheets.pdf.filename);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: "Failed to read PDF", filename: sheets.pdf.filename, details: String(e?.message || e) });
+    }
+    if (!prepared.swimmers.length) {
+      return res.status(400).json({ ok: false, error: "No swimmers found in PDF file", filename: sheets.pdf.filename });
+    }
 
-    const tx = db.transaction((rows) => {
-      for (const r of rows) {
-        ins.run(
-          date, r.start_time, r.swimmer_name,
-          r.instructor_name || null, r.zone || null, r.program || null, r.age_text || null,
-          r.flag_new || 0, r.flag_makeup || 0, r.flag_policy || 0, r.flag_owes || 0, r.flag_trial || 0,
-          now, now
-        );
-      }
+    const result = applyRosterImport(location, prepared, {
+      mode,
+      action: "import_today",
+      sourceFile: sheets.pdf.filename
     });
-
-    tx(parsed);
+    if (!result.ok) return res.status(400).json({ ...result, filename: sheets.pdf.filename });
 
     audit(req, "import_today", {
       device_mode: req.body?.device_mode || null,
-      details: { parsed_count: parsed.length }
+      details: { parsed_count: prepared.swimmers.length, location_id: locId, mode, filename: sheets.pdf.filename, text_method: prepared.textMethod, merged: result.merged, version_id: result.version_id }
     });
 
-    res.json({ ok: true, imported: parsed.length });
+    res.json({ ...result, imported: result.count, filename: sheets.pdf.filename, text_method: prepared.textMethod });
   } catch (e) {
     res.status(500).json({ ok: false, error: "Import failed", details: String(e?.stack || e?.message || e) });
   }
@@ -1669,6 +4286,41 @@ app.get("/api/blocks/:start_time", (req, res) => {
 
   res.json({ ok: true, kids });
 });
+// -------------------- Live updates (Server-Sent Events) --------------------
+// Every screen for a location keeps GET /api/live open; the write routes broadcast what
+// they changed so other devices refresh without polling. Events are hints to re-fetch,
+// not a replication log: a client that reconnects simply reloads its views.
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const liveClients = new Map(); // location_id -> Set of open responses
+let liveEventSeq = 0;
+
+function broadcastLiveEvent(locationId, type, data = {}) {
+  const clients = liveClients.get(Number(locationId || 1));
+  if (!clients?.size) return;
+  const payload = `id: ${++liveEventSeq}\nevent: ${type}\ndata: ${JSON.stringify({ type, location_id: Number(locationId || 1), at: nowISO(), ...data })}\n\n`;
+  for (const res of clients) res.write(payload);
+}
+
+app.get("/api/live", (req, res) => {
+  const locId = Number(req.query.location_id || 1);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: 3000\nevent: hello\ndata: ${JSON.stringify({ location_id: locId, at: nowISO() })}\n\n`);
+
+  if (!liveClients.has(locId)) liveClients.set(locId, new Set());
+  liveClients.get(locId).add(res);
+  // Comment lines keep proxies and tablets from closing an idle stream.
+  const heartbeat = setInterval(() => res.write(`: ping\n\n`), LIVE_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    liveClients.get(locId)?.delete(res);
+  });
+});
+
 // Safety issues endpoint
 app.get("/api/safety-issues", (req, res) => {
   try {
@@ -1719,6 +4371,7 @@ app.post("/api/safety-issues", (req, res) => {
 
     saveSafetyIssues(issues);
     audit(req, "safety_issue", { date: issueDate, start_time, details: { location_id: locId, note: trimmedNote, by: ip } });
+    broadcastLiveEvent(locId, "safety_issue", { date: issueDate, start_time, note: trimmedNote || null });
 
     res.json({ ok: true, issues: issues.filter((issue) => (
       issue.date === issueDate && Number(issue.location_id || 1) === locId
@@ -1730,8 +4383,10 @@ app.post("/api/safety-issues", (req, res) => {
 app.post("/api/update-flags", (req, res) => {
   try {
     const ip = getIP(req);
-    const { start_time, swimmer_name, device_mode, flags } = req.body || {};
+    const { start_time, swimmer_name, device_mode, flags, location_id } = req.body || {};
     if (!start_time || !swimmer_name || !flags) return res.status(400).json({ ok: false, error: "missing fields" });
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
 
     const date = activeOrToday();
     const now = nowISO();
@@ -1743,8 +4398,9 @@ app.post("/api/update-flags", (req, res) => {
         flag_policy = ?,
         flag_owes = ?,
         flag_trial = ?,
+        flags_overridden = 1,
         updated_at = ?
-      WHERE date = ? AND start_time = ? AND swimmer_name = ?
+      WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
     `).run(
       flags.flag_new ? 1 : 0,
       flags.flag_makeup ? 1 : 0,
@@ -1754,15 +4410,18 @@ app.post("/api/update-flags", (req, res) => {
       now,
       date,
       start_time,
-      swimmer_name
+      swimmer_name,
+      locId
     );
 
-    audit(req, "update_flags", { device_mode, date, start_time, swimmer_name, details: { by: ip, flags } });
+    audit(req, "update_flags", { device_mode, date, start_time, swimmer_name, details: { by: ip, flags, location_id: locId } });
 
     const row = db.prepare(`
       SELECT flag_new, flag_makeup, flag_policy, flag_owes, flag_trial
-      FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ?
-    `).get(date, start_time, swimmer_name);
+      FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
+    `).get(date, start_time, swimmer_name, locId);
+    if (!row) return res.status(404).json({ ok: false, error: "not found" });
+    broadcastLiveEvent(locId, "flags", { date, start_time, swimmer_name, flags: row });
 
     res.json({ ok: true, flags: row });
   } catch (e) {
@@ -1775,8 +4434,10 @@ app.post("/api/update-flags", (req, res) => {
 // Attendance: 1 = here, 0 = absent, null = clear
 app.post("/api/attendance", (req, res) => {
   try {
-    const { start_time, swimmer_name, attendance, device_mode } = req.body || {};
+    const { start_time, swimmer_name, attendance, device_mode, location_id } = req.body || {};
     if (!start_time || !swimmer_name) return res.status(400).json({ ok: false, error: "missing fields" });
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
 
     const date = activeOrToday();
     const now = nowISO();
@@ -1785,15 +4446,17 @@ app.post("/api/attendance", (req, res) => {
     if (attendance === 0 || attendance === "0") att = 0;
     if (attendance === 1 || attendance === "1") att = 1;
 
-    db.prepare(`
+    const result = db.prepare(`
       UPDATE roster SET
         attendance = ?,
         attendance_at = ?,
         updated_at = ?
-      WHERE date = ? AND start_time = ? AND swimmer_name = ?
-    `).run(att, att === null ? null : now, now, date, start_time, swimmer_name);
+      WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
+    `).run(att, att === null ? null : now, now, date, start_time, swimmer_name, locId);
+    if (!result.changes) return res.status(404).json({ ok: false, error: "not found" });
 
-    audit(req, "attendance", { device_mode, date, start_time, swimmer_name, details: { attendance: att } });
+    audit(req, "attendance", { device_mode, date, start_time, swimmer_name, details: { attendance: att, location_id: locId } });
+    broadcastLiveEvent(locId, "attendance", { date, start_time, swimmer_name, attendance: att });
 
     res.json({ ok: true, attendance: att, at: now });
   } catch (e) {
@@ -1805,7 +4468,8 @@ app.post("/api/attendance/bulk", (req, res) => {
   try {
     const { start_time, attendance, location_id, initials } = req.body || {};
     if (!start_time) return res.status(400).json({ ok: false, error: "missing start_time" });
-    const locId = Number(location_id || 1);
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
     const date = activeOrToday();
     const now = nowISO();
     const att = attendance === 1 || attendance === "1" ? 1 : null;
@@ -1821,6 +4485,7 @@ app.post("/api/attendance/bulk", (req, res) => {
 
     audit(req, "attendance_bulk", { date, start_time, details: { attendance: att, initials: initialsClean } });
     logActivity("attendance_bulk", { location_id: locId, initials: initialsClean, details: { start_time, attendance: att } });
+    broadcastLiveEvent(locId, "attendance", { date, start_time, swimmer_name: null, attendance: att });
     res.json({ ok: true, attendance: att });
   } catch (e) {
     res.status(500).json({ ok: false, error: "attendance bulk failed", details: String(e?.stack || e?.message || e) });
@@ -1831,8 +4496,10 @@ app.post("/api/attendance/bulk", (req, res) => {
 app.post("/api/update-zone", (req, res) => {
   try {
     const ip = getIP(req);
-    const { start_time, swimmer_name, new_zone, device_mode, manager_code } = req.body || {};
+    const { start_time, swimmer_name, new_zone, device_mode, manager_code, location_id } = req.body || {};
     if (!start_time || !swimmer_name || !new_zone) return res.status(400).json({ ok: false, error: "missing fields" });
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
 
     const zoneInt = parseInt(new_zone, 10);
     if (![1,2,3,4].includes(zoneInt)) return res.status(400).json({ ok: false, error: "invalid zone", details: { zone } });
@@ -1855,17 +4522,19 @@ app.post("/api/update-zone", (req, res) => {
     const date = activeOrToday();
     const now = nowISO();
 
-    db.prepare(`
+    const result = db.prepare(`
       UPDATE roster SET
         zone = ?,
         zone_overridden = 1,
         zone_override_at = ?,
         zone_override_by = ?,
         updated_at = ?
-      WHERE date = ? AND start_time = ? AND swimmer_name = ?
-    `).run(zoneInt, now, ip, now, date, start_time, swimmer_name);
+      WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
+    `).run(zoneInt, now, ip, now, date, start_time, swimmer_name, locId);
+    if (!result.changes) return res.status(404).json({ ok: false, error: "not found" });
 
-    audit(req, "update_zone", { device_mode, date, start_time, swimmer_name, details: { new_zone: zoneInt, by: ip } });
+    audit(req, "update_zone", { device_mode, date, start_time, swimmer_name, details: { new_zone: zoneInt, by: ip, location_id: locId } });
+    broadcastLiveEvent(locId, "zone", { date, start_time, swimmer_name, zone: zoneInt });
 
     res.json({ ok: true, zone: zoneInt });
   } catch (e) {
@@ -1879,9 +4548,11 @@ app.post("/api/add-swimmer", (req, res) => {
     const { start_time, swimmer_name, instructor_name, zone, program, age_text, device_mode, location_id } = req.body || {};
     if (!start_time || !swimmer_name) return res.status(400).json({ ok: false, error: "missing fields" });
 
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
+
     const date = activeOrToday();
     const now = nowISO();
-    const locId = location_id || 1;
 
     const z = zone === "" || zone === undefined || zone === null ? null : parseInt(zone, 10);
     if (z !== null && ![1,2,3,4].includes(z)) return res.status(400).json({ ok: false, error: "invalid zone", details: { zone } });
@@ -1924,7 +4595,8 @@ app.post("/api/add-swimmer", (req, res) => {
       now, now
     );
 
-    audit(req, "add_swimmer", { device_mode, date, start_time, swimmer_name, details: { is_addon: true, zone: z } });
+    audit(req, "add_swimmer", { device_mode, date, start_time, swimmer_name, details: { is_addon: true, zone: z, location_id: locId } });
+    broadcastLiveEvent(locId, "addon", { date, start_time, swimmer_name, action: "added" });
 
     res.json({ ok: true });
   } catch (e) {
@@ -1935,25 +4607,28 @@ app.post("/api/add-swimmer", (req, res) => {
 // Remove add-on swimmer only
 app.post("/api/remove-addon", (req, res) => {
   try {
-    const { start_time, swimmer_name, device_mode, initials } = req.body || {};
+    const { start_time, swimmer_name, device_mode, initials, location_id } = req.body || {};
     if (!start_time || !swimmer_name) return res.status(400).json({ ok: false, error: "missing fields" });
     const initialsClean = normalizeInitials(initials);
     if (!initialsClean) return res.status(400).json({ ok: false, error: "initials required" });
+    const locId = parseLocationId(location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
 
     const date = activeOrToday();
     const info = db.prepare(`
-      SELECT is_addon FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ?
-    `).get(date, start_time, swimmer_name);
+      SELECT is_addon FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
+    `).get(date, start_time, swimmer_name, locId);
 
     if (!info) return res.status(404).json({ ok: false, error: "not found" });
     if (!info.is_addon) return res.status(400).json({ ok: false, error: "not an add-on" });
 
     db.prepare(`
-      DELETE FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ?
-    `).run(date, start_time, swimmer_name);
+      DELETE FROM roster WHERE date = ? AND start_time = ? AND swimmer_name = ? AND location_id = ?
+    `).run(date, start_time, swimmer_name, locId);
 
-    audit(req, "remove_addon", { device_mode, date, start_time, swimmer_name, details: { initials: initialsClean } });
-    logActivity("remove_addon", { location_id: null, initials: initialsClean, details: { swimmer_name, start_time, date } });
+    audit(req, "remove_addon", { device_mode, date, start_time, swimmer_name, details: { initials: initialsClean, location_id: locId } });
+    logActivity("remove_addon", { location_id: locId, initials: initialsClean, details: { swimmer_name, start_time, date } });
+    broadcastLiveEvent(locId, "addon", { date, start_time, swimmer_name, action: "removed" });
 
     res.json({ ok: true });
   } catch (e) {
@@ -1964,12 +4639,20 @@ app.post("/api/remove-addon", (req, res) => {
 // Speak typed announcement
 app.post("/api/speak", async (req, res) => {
   try {
-    const { text, device_mode } = req.body || {};
-    const out = await speakAnnouncement(text, { cooldownMs: 2000, dedupeKey: `MANUAL|${String(text||'').trim()}`, pingDelayMs: 2000 });
+    const { text, device_mode, location_id, zones, priority } = req.body || {};
+    const locId = Number(location_id || 1);
+    const { unknown } = resolveAudioZones(locId, zones);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown audio zones", details: { zones: unknown } });
+    const level = normalizeAnnouncementPriority(priority);
+    if (!level) return res.status(400).json({ ok: false, error: "priority must be emergency, high, normal or low" });
+
+    const out = await speakAnnouncement(text, { cooldownMs: 2000, dedupeKey: `MANUAL|${String(text||'').trim()}`, pingDelayMs: 2000, locationId: locId, zones, priority: level, source: "manual", ...announcementTrigger(req) });
     if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
+    if (out.reason === "quiet_hours") return res.json({ ok: true, skipped: true, reason: out.reason, quiet_window: out.quiet_window });
+    if (out.preempted) return res.json({ ok: true, preempted: true, reason: out.error, history_id: out.history_id });
 
-    audit(req, "speak", { device_mode, details: { text: out.text } });
-    res.json({ ok: true, lastAnnouncement });
+    audit(req, "speak", { device_mode, details: { text: out.text, location_id: locId, zones: out.zones, priority: level } });
+    res.json({ ok: true, lastAnnouncement: getAnnouncerState(locId).lastAnnouncement });
   } catch (e) {
     res.status(500).json({ ok: false, error: "speak failed", details: String(e?.stack || e?.message || e) });
   }
@@ -1978,14 +4661,17 @@ app.post("/api/speak", async (req, res) => {
 // Repeat last announcement
 app.post("/api/repeat-last", async (req, res) => {
   try {
-    const { device_mode } = req.body || {};
-    if (!lastAnnouncement?.text) return res.status(400).json({ ok: false, error: "No last announcement yet" });
+    const { device_mode, location_id } = req.body || {};
+    const locId = Number(location_id || 1);
+    const state = getAnnouncerState(locId);
+    const last = state.lastAnnouncement;
+    if (!last?.text) return res.status(400).json({ ok: false, error: "No last announcement yet" });
 
-    const out = await speakAnnouncement(lastAnnouncement.text, { cooldownMs: 2000, dedupeKey: `REPEAT|${lastAnnouncement.text}`, pingDelayMs: 2000 });
+    const out = await speakAnnouncement(last.text, { cooldownMs: 2000, dedupeKey: `REPEAT|${last.text}`, pingDelayMs: 2000, locationId: locId, source: "repeat", ...announcementTrigger(req) });
     if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
 
-    audit(req, "repeat_last", { device_mode });
-    res.json({ ok: true, lastAnnouncement });
+    audit(req, "repeat_last", { device_mode, details: { location_id: locId } });
+    res.json({ ok: true, lastAnnouncement: state.lastAnnouncement });
   } catch (e) {
     res.status(500).json({ ok: false, error: "repeat failed", details: String(e?.stack || e?.message || e) });
   }
@@ -1994,33 +4680,34 @@ app.post("/api/repeat-last", async (req, res) => {
 // Force time-block announcement
 app.post("/api/force-time-announcement", async (req, res) => {
   try {
-    const { start_time, device_mode } = req.body || {};
+    const { start_time, device_mode, location_id } = req.body || {};
     if (!start_time) return res.status(400).json({ ok: false, error: "missing start_time" });
 
-    const date = activeOrToday();
-    const countRow = db.prepare(`
-      SELECT COUNT(*) AS c FROM roster WHERE date = ? AND start_time = ?
-    `).get(date, start_time);
-    const c = countRow?.c || 0;
+    const location = getLocationById(Number(location_id || 1));
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+    const locId = location.id;
+    // The location's own date, as the server auto announcer uses, so both share a dedupe key.
+    const date = todayISOInTimeZone(getLocationTimeZone(location));
 
     const tpl = getAnnouncementTemplate("AUTO_TIME_BLOCK");
     const enabled = tpl ? !!tpl.enabled : true;
     if (!enabled) return res.json({ ok: true, skipped: true, reason: "disabled" });
 
-    const time12 = formatTime12h(start_time);
+    const vars = buildTemplateVars(location, date, start_time);
     const msg = renderTemplate(
       tpl?.template || "Parents and Guardians, the {time12} classes are about to begin. Please line your swimmers up at the pool entrance stairs.",
-      { time12, start_time, date, count: c }
+      vars
     );
+    const utterances = renderTemplateUtterances(tpl, locId, vars, msg);
 
     const cooldownMs = (Number(tpl?.cooldown_seconds ?? 240) * 1000);
     const dedupeKey = `AUTO_TIME_BLOCK|${date}|${start_time}`;
 
-    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000 });
+    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000, locationId: locId, zones: tpl?.zones, utterances, source: "force", templateKey: "AUTO_TIME_BLOCK", ...announcementTrigger(req) });
     if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
 
-    audit(req, "force_time_announcement", { device_mode, date, start_time, details: { count: c, template_key: "AUTO_TIME_BLOCK", skipped: !!out.skipped } });
-    res.json({ ok: true, lastAnnouncement, skipped: !!out.skipped });
+    audit(req, "force_time_announcement", { device_mode, date, start_time, details: { count: vars.count, template_key: "AUTO_TIME_BLOCK", skipped: !!out.skipped, location_id: locId } });
+    res.json({ ok: true, lastAnnouncement: getAnnouncerState(locId).lastAnnouncement, skipped: !!out.skipped });
   } catch (e) {
     res.status(500).json({ ok: false, error: "force-time announcement failed", details: String(e?.stack || e?.message || e) });
   }
@@ -2030,64 +4717,619 @@ app.post("/api/force-time-announcement", async (req, res) => {
 // Force class-start announcement (plays at exact block start time)
 app.post("/api/force-class-start", async (req, res) => {
   try {
-    const { start_time, device_mode } = req.body || {};
+    const { start_time, device_mode, location_id } = req.body || {};
     if (!start_time) return res.status(400).json({ ok: false, error: "missing start_time" });
 
-    const date = activeOrToday();
-    const countRow = db.prepare(`
-      SELECT COUNT(*) AS c FROM roster WHERE date = ? AND start_time = ?
-    `).get(date, start_time);
-    const c = countRow?.c || 0;
+    const location = getLocationById(Number(location_id || 1));
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+    const locId = location.id;
+    // Same date as the server auto announcer (see force-time-announcement).
+    const date = todayISOInTimeZone(getLocationTimeZone(location));
 
     const tpl = getAnnouncementTemplate("AUTO_CLASS_START");
     const enabled = tpl ? !!tpl.enabled : true;
     if (!enabled) return res.json({ ok: true, skipped: true, reason: "disabled" });
 
-    const time12 = formatTime12h(start_time);
+    const vars = buildTemplateVars(location, date, start_time);
     const msg = renderTemplate(
       tpl?.template || "The {time12} classes are now starting. Swimmers, please make your way to the pool deck.",
-      { time12, start_time, date, count: c }
+      vars
     );
+    const utterances = renderTemplateUtterances(tpl, locId, vars, msg);
 
     const cooldownMs = (Number(tpl?.cooldown_seconds ?? 240) * 1000);
     const dedupeKey = `AUTO_CLASS_START|${date}|${start_time}`;
 
-    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000 });
+    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000, locationId: locId, zones: tpl?.zones, utterances, source: "force", templateKey: "AUTO_CLASS_START", ...announcementTrigger(req) });
     if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
 
-    audit(req, "force_class_start", { device_mode, date, start_time, details: { count: c, template_key: "AUTO_CLASS_START", skipped: !!out.skipped } });
-    res.json({ ok: true, lastAnnouncement, skipped: !!out.skipped });
+    audit(req, "force_class_start", { device_mode, date, start_time, details: { count: vars.count, template_key: "AUTO_CLASS_START", skipped: !!out.skipped, location_id: locId } });
+    res.json({ ok: true, lastAnnouncement: getAnnouncerState(locId).lastAnnouncement, skipped: !!out.skipped });
   } catch (e) {
     res.status(500).json({ ok: false, error: "force-class-start failed", details: String(e?.stack || e?.message || e) });
   }
 });
 
 // "Call parent" action: speaks a standard page
+// Opens a repeating page (see PARENT PAGES); { page: false } speaks once, e.g. the settings test button.
 app.post("/api/call-parent", async (req, res) => {
+  if (req.body?.page !== false) return handleOpenParentPage(req, res);
   try {
-    const { swimmer_name, device_mode } = req.body || {};
+    const { swimmer_name, device_mode, location_id, zones } = req.body || {};
     if (!swimmer_name) return res.status(400).json({ ok: false, error: "missing swimmer_name" });
+    const locId = Number(location_id || 1);
+    const { unknown } = resolveAudioZones(locId, zones);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown audio zones", details: { zones: unknown } });
 
     const tpl = getAnnouncementTemplate("CALL_PARENT_TO_DECK");
     const enabled = tpl ? !!tpl.enabled : true;
     if (!enabled) return res.json({ ok: true, skipped: true, reason: "disabled" });
 
+    const vars = buildTemplateVars(getLocationById(locId), activeOrToday(), null, { swimmer_name });
     const msg = renderTemplate(
       tpl?.template || "Hello, will the parent or guardian of {swimmer_name} please come to the pool deck.",
-      { swimmer_name }
+      vars
     );
+    const utterances = renderTemplateUtterances(tpl, locId, vars, msg);
 
     const cooldownMs = (Number(tpl?.cooldown_seconds ?? 8) * 1000);
     const dedupeKey = `CALL_PARENT_TO_DECK|${String(swimmer_name).trim().toLowerCase()}`;
 
-    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000 });
+    const targetZones = normalizeZoneList(zones) || tpl?.zones || null;
+    const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000, locationId: locId, zones: targetZones, utterances, priority: "high", source: "call-parent", templateKey: "CALL_PARENT_TO_DECK", ...announcementTrigger(req) });
+    if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
+
+    audit(req, "call_parent", { device_mode, swimmer_name, details: { text: msg, template_key: "CALL_PARENT_TO_DECK", skipped: !!out.skipped, location_id: locId, zones: out.zones } });
+    res.json({ ok: true, lastAnnouncement: getAnnouncerState(locId).lastAnnouncement, skipped: !!out.skipped });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "call-parent failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Speak queue: what is playing and waiting per location
+app.get("/api/announcements/queue", (req, res) => {
+  try {
+    const locIds = req.query.location_id
+      ? [Number(req.query.location_id)]
+      : Array.from(announcerStates.keys()).sort((a, b) => a - b);
+    res.json({ ok: true, queues: locIds.map(getAnnouncementQueue) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcement queue failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Cancel a pending item (the one already playing can only be cut off by an emergency)
+app.delete("/api/announcements/queue/:id", (req, res) => {
+  try {
+    const item = cancelQueuedAnnouncement(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, error: "queued announcement not found (already playing or finished)" });
+
+    audit(req, "announcement_cancel", { device_mode: req.body?.device_mode, details: { queue_id: item.id, location_id: item.locationId, text: item.text } });
+    res.json({ ok: true, cancelled: summarizeQueueItem(item) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "cancel failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Announcement history: filters are all optional and combine with AND
+app.get("/api/announcements/history", (req, res) => {
+  try {
+    const q = req.query || {};
+    const where = [];
+    const params = [];
+    if (q.location_id) { where.push("location_id = ?"); params.push(Number(q.location_id)); }
+    if (q.source) { where.push("source = ?"); params.push(String(q.source)); }
+    if (q.status) { where.push("status = ?"); params.push(String(q.status)); }
+    if (q.template_key) { where.push("template_key = ?"); params.push(String(q.template_key)); }
+    if (q.triggered_by) { where.push("triggered_by = ?"); params.push(String(q.triggered_by)); }
+    if (q.q) { where.push("text LIKE ?"); params.push(`%${String(q.q)}%`); }
+    if (q.from) { where.push("created_at >= ?"); params.push(String(q.from)); }
+    if (q.to) { where.push("created_at <= ?"); params.push(String(q.to)); }
+
+    const limit = Math.min(500, Math.max(1, Number(q.limit || 100)));
+    const offset = Math.max(0, Number(q.offset || 0));
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const total = db.prepare(`SELECT COUNT(*) AS c FROM announcement_history ${whereSql}`).get(...params)?.c || 0;
+    const rows = db.prepare(`
+      SELECT * FROM announcement_history ${whereSql}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    res.json({ ok: true, total, limit, offset, entries: rows.map(formatAnnouncementHistory) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "announcement history failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Replay any past entry to the same location (and zones, unless overridden)
+app.post("/api/announcements/history/:id/replay", async (req, res) => {
+  try {
+    const { device_mode, zones } = req.body || {};
+    const entry = formatAnnouncementHistory(
+      db.prepare(`SELECT * FROM announcement_history WHERE id = ?`).get(Number(req.params.id || 0))
+    );
+    if (!entry) return res.status(404).json({ ok: false, error: "history entry not found" });
+
+    const locId = Number(entry.location_id || 1);
+    const targetZones = normalizeZoneList(zones) || entry.zones;
+    const { unknown } = resolveAudioZones(locId, targetZones);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown audio zones", details: { zones: unknown } });
+
+    const out = await speakAnnouncement(entry.text, {
+      cooldownMs: 2000,
+      dedupeKey: `REPLAY|${entry.id}`,
+      pingDelayMs: 2000,
+      locationId: locId,
+      zones: targetZones,
+      source: "replay",
+      templateKey: entry.template_key,
+      replayOf: entry.id,
+      ...announcementTrigger(req)
+    });
     if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed" });
 
-    audit(req, "call_parent", { device_mode, swimmer_name, details: { text: msg, template_key: "CALL_PARENT_TO_DECK", skipped: !!out.skipped } });
-    res.json({ ok: true, lastAnnouncement, skipped: !!out.skipped });
+    audit(req, "announcement_replay", { device_mode, details: { history_id: entry.id, location_id: locId, skipped: !!out.skipped } });
+    res.json({ ok: true, history_id: out.history_id, skipped: !!out.skipped, lastAnnouncement: getAnnouncerState(locId).lastAnnouncement });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "replay failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// ==================== EMERGENCY ANNOUNCEMENTS ====================
+// One-tap safety presets. An alert repeats at emergency priority every
+// repeat_seconds until a manager acknowledges it with a PIN, and flags a
+// safety issue on the block that is running when it was triggered.
+const EMERGENCY_PRESETS = {
+  POOL_CLEAR: {
+    name: "Clear the pool",
+    text: "Attention please. All swimmers must exit the pool immediately. Instructors, please clear the pool now.",
+    repeat_seconds: 45
+  },
+  LIGHTNING: {
+    name: "Thunder / lightning",
+    text: "Attention please. Due to thunder and lightning in the area, all swimmers must exit the pool immediately and stay off the pool deck until further notice.",
+    repeat_seconds: 60
+  },
+  FECAL_INCIDENT: {
+    name: "Fecal incident closure",
+    text: "Attention please. The pool is temporarily closed for water treatment. All swimmers, please exit the pool now. Thank you for your patience.",
+    repeat_seconds: 60
+  },
+  FIRE_EVACUATION: {
+    name: "Fire evacuation",
+    text: "Attention. This is a fire evacuation. Everyone must leave the building now through the nearest exit. Instructors, bring your swimmers with you. Do not use the locker rooms.",
+    repeat_seconds: 30
+  },
+  LOST_CHILD: {
+    name: "Lost child",
+    text: "Attention please. We are looking for a missing child. {details} If you see this child, please bring them to the front desk immediately.",
+    repeat_seconds: 60
+  }
+};
+
+const emergencyTimers = new Map();
+
+function listEmergencyPresets() {
+  return Object.entries(EMERGENCY_PRESETS).map(([key, preset]) => ({ key, ...preset }));
+}
+
+function getEmergencyAlert(id) {
+  return db.prepare(`SELECT * FROM emergency_alerts WHERE id = ?`).get(Number(id)) || null;
+}
+
+function listActiveEmergencyAlerts(locationId = null) {
+  return db.prepare(`
+    SELECT * FROM emergency_alerts
+    WHERE acknowledged_at IS NULL AND (? IS NULL OR location_id = ?)
+    ORDER BY started_at
+  `).all(locationId, locationId);
+}
+
+function nowHHMMInTimeZone(timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || undefined,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(new Date());
+  const get = (type) => parts.find((p) => p.type === type)?.value || "00";
+  return `${get("hour")}:${get("minute")}`;
+}
+
+// The block in the water right now: latest start at or before now, else the first block of the day.
+function getActiveBlockStartTime(location, date) {
+  const nowHHMM = nowHHMMInTimeZone(getLocationTimeZone(location));
+  const times = db.prepare(`
+    SELECT DISTINCT start_time FROM roster
+    WHERE date = ? AND location_id = ? AND start_time IS NOT NULL AND TRIM(start_time) != ''
+    ORDER BY start_time
+  `).all(date, location.id).map((r) => r.start_time);
+  const started = times.filter((t) => t <= nowHHMM);
+  return started[started.length - 1] || times[0] || nowHHMM;
+}
+
+function flagEmergencySafetyIssue(location, presetName, date, startTime) {
+  const issues = loadSafetyIssues();
+  const note = `EMERGENCY: ${presetName} (${nowHHMMInTimeZone(getLocationTimeZone(location))})`;
+  const existing = issues.find((issue) => (
+    issue.date === date && Number(issue.location_id || 1) === location.id && issue.start_time === startTime
+  ));
+  if (existing) {
+    existing.note = existing.note ? `${existing.note} | ${note}` : note;
+    existing.updated_at = nowISO();
+  } else {
+    issues.push({ date, start_time: startTime, location_id: location.id, note, updated_at: nowISO() });
+  }
+  saveSafetyIssues(issues);
+}
+
+function stopEmergencyRepeat(alertId) {
+  clearTimeout(emergencyTimers.get(alertId));
+  emergencyTimers.delete(alertId);
+  cancelAnnouncementsByTag(`emergency:${alertId}`);
+}
+
+function runEmergencyRepeat(alertId) {
+  emergencyTimers.delete(alertId);
+  const alert = getEmergencyAlert(alertId);
+  if (!alert || alert.acknowledged_at) return;
+
+  speakAnnouncement(alert.text, {
+    cooldownMs: 0,
+    pingDelayMs: 1000,
+    locationId: alert.location_id,
+    priority: "emergency",
+    source: "emergency",
+    templateKey: alert.preset_key,
+    triggeredBy: alert.triggered_by,
+    tag: `emergency:${alert.id}`
+  })
+    .catch((e) => console.error(`[EMERGENCY] alert #${alert.id} failed to play:`, e?.message || e))
+    .finally(() => {
+      db.prepare(`UPDATE emergency_alerts SET repeat_count = repeat_count + 1 WHERE id = ?`).run(alert.id);
+      const current = getEmergencyAlert(alert.id);
+      if (!current || current.acknowledged_at || emergencyTimers.has(alert.id)) return;
+      emergencyTimers.set(alert.id, setTimeout(() => runEmergencyRepeat(alert.id), current.repeat_seconds * 1000));
+    });
+}
+
+// Alerts that were still unacknowledged when the server stopped keep repeating.
+function resumeEmergencyAlerts() {
+  for (const alert of listActiveEmergencyAlerts()) {
+    console.log(`[EMERGENCY] Resuming unacknowledged alert #${alert.id} (${alert.preset_key}) for location ${alert.location_id}`);
+    runEmergencyRepeat(alert.id);
+  }
+}
+
+app.get("/api/emergency/presets", (req, res) => {
+  res.json({ ok: true, presets: listEmergencyPresets() });
+});
+
+app.get("/api/emergency/active", (req, res) => {
+  try {
+    const locId = req.query.location_id ? Number(req.query.location_id) : null;
+    res.json({ ok: true, alerts: listActiveEmergencyAlerts(locId) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "emergency alerts failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/emergency/trigger", (req, res) => {
+  try {
+    const { preset_key, location_id, details, device_mode, initials } = req.body || {};
+    const presetKey = String(preset_key || "").trim().toUpperCase();
+    const preset = EMERGENCY_PRESETS[presetKey];
+    if (!preset) return res.status(400).json({ ok: false, error: "Unknown emergency preset" });
+    const location = getLocationById(Number(location_id || 1));
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+
+    // A second tap on the same preset while it is still running does not start a parallel loop.
+    const running = listActiveEmergencyAlerts(location.id).find((a) => a.preset_key === presetKey);
+    if (running) return res.json({ ok: true, alert: running, already_active: true });
+
+    const text = renderTemplate(preset.text, { details: String(details || "").trim() });
+    // Block times are the location's wall clock, so the date must be the location's too.
+    const date = todayISOInTimeZone(getLocationTimeZone(location));
+    const startTime = getActiveBlockStartTime(location, date);
+    const triggeredBy = normalizeInitials(initials) || device_mode || null;
+
+    const result = db.prepare(`
+      INSERT INTO emergency_alerts (
+        location_id, preset_key, text, repeat_seconds, triggered_by, started_at,
+        safety_issue_date, safety_issue_start_time
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(location.id, presetKey, text, preset.repeat_seconds, triggeredBy, nowISO(), date, startTime);
+    const alert = getEmergencyAlert(result.lastInsertRowid);
+
+    flagEmergencySafetyIssue(location, preset.name, date, startTime);
+    audit(req, "emergency_trigger", { device_mode, date, start_time: startTime, details: { alert_id: alert.id, preset_key: presetKey, location_id: location.id, text } });
+    logActivity("emergency_trigger", { location_id: location.id, initials: normalizeInitials(initials) || null, details: { alert_id: alert.id, preset_key: presetKey } });
+
+    runEmergencyRepeat(alert.id);
+    res.json({ ok: true, alert });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "emergency trigger failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/emergency/:id/acknowledge", (req, res) => {
+  try {
+    const { pin, initials, device_mode } = req.body || {};
+    const pinCheck = verifyPin(pin, "manager");
+    if (!pinCheck.ok) {
+      return res.status(401).json({ ok: false, error: "Invalid manager PIN" });
+    }
+    const alert = getEmergencyAlert(req.params.id);
+    if (!alert) return res.status(404).json({ ok: false, error: "Emergency alert not found" });
+    if (alert.acknowledged_at) return res.json({ ok: true, alert });
+
+    const acknowledgedBy = normalizeInitials(initials) || pinCheck.role;
+    db.prepare(`UPDATE emergency_alerts SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ?`)
+      .run(nowISO(), acknowledgedBy, alert.id);
+    stopEmergencyRepeat(alert.id);
+
+    audit(req, "emergency_acknowledge", { device_mode, details: { alert_id: alert.id, preset_key: alert.preset_key, location_id: alert.location_id, by: acknowledgedBy, role: pinCheck.role, repeats: alert.repeat_count } });
+    logActivity("emergency_acknowledge", { location_id: alert.location_id, initials: normalizeInitials(initials) || null, details: { alert_id: alert.id, preset_key: alert.preset_key } });
+    res.json({ ok: true, alert: getEmergencyAlert(alert.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "emergency acknowledge failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// ==================== PARENT PAGES ====================
+// A page asks a swimmer's parent to the deck. It is spoken right away, repeated every
+// repeat_seconds until someone acknowledges it, escalated to every audio zone after
+// PAGE_ESCALATE_AFTER unanswered repeats, and closed by the front desk when the parent
+// arrives (response_seconds = created -> closed).
+const PAGE_REPEAT_SECONDS = Math.max(30, Number(process.env.PAGE_REPEAT_SECONDS || 90));
+const PAGE_ESCALATE_AFTER = Math.max(1, Number(process.env.PAGE_ESCALATE_AFTER || 2));
+const PAGE_MAX_REPEATS = Math.max(1, Number(process.env.PAGE_MAX_REPEATS || 5));
+const pageTimers = new Map(); // page id -> { timer, at }
+
+function formatParentPage(row) {
+  if (!row) return null;
+  const endMs = row.closed_at ? Date.parse(row.closed_at) : Date.now();
+  return {
+    ...row,
+    zones: normalizeZoneList(row.zones),
+    time12: row.start_time ? formatTime12h(row.start_time) : null,
+    elapsed_seconds: Math.max(0, Math.round((endMs - Date.parse(row.created_at)) / 1000)),
+    next_repeat_at: pageTimers.get(row.id)?.at || null
+  };
+}
+function getParentPage(id) {
+  return formatParentPage(db.prepare(`SELECT * FROM parent_pages WHERE id = ?`).get(Number(id)));
+}
+function listParentPages(locationId = null, { status = "open", limit = 100 } = {}) {
+  return db.prepare(`
+    SELECT * FROM parent_pages
+    WHERE (? IS NULL OR location_id = ?) AND (? IS NULL OR status = ?)
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).all(locationId, locationId, status, status, limit).map(formatParentPage);
+}
+
+// Today's roster row for the swimmer: the block the deck had selected, else the block
+// closest to now (siblings can swim at several times).
+function findRosterSwimmer(location, date, swimmerName, preferStart = null) {
+  const rows = db.prepare(`
+    SELECT swimmer_name, start_time, instructor_name, zone FROM roster
+    WHERE date = ? AND location_id = ? AND LOWER(TRIM(swimmer_name)) = LOWER(TRIM(?))
+    ORDER BY start_time
+  `).all(date, location.id, swimmerName);
+  if (!rows.length) return null;
+  const preferred = preferStart ? rows.find((r) => r.start_time === preferStart) : null;
+  if (preferred) return preferred;
+  const toMin = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+  const now = toMin(nowHHMMInTimeZone(getLocationTimeZone(location)));
+  return rows.reduce((best, r) => (Math.abs(toMin(r.start_time) - now) < Math.abs(toMin(best.start_time) - now) ? r : best));
+}
+
+function renderParentPageMessage(page) {
+  const tpl = getAnnouncementTemplate("CALL_PARENT_TO_DECK");
+  const location = getLocationById(page.location_id);
+  const vars = buildTemplateVars(location, page.date, page.start_time || null, {
+    swimmer_name: page.swimmer_name,
+    instructor_name: page.instructor_name || ""
+  });
+  const msg = renderTemplate(
+    tpl?.template || "Hello, will the parent or guardian of {swimmer_name} please come to the pool deck.",
+    vars
+  );
+  return { msg, utterances: renderTemplateUtterances(tpl, page.location_id, vars, msg) };
+}
+
+function speakParentPage(page, { source, triggeredBy = null, ip = null }) {
+  const { msg, utterances } = renderParentPageMessage(page);
+  return speakAnnouncement(msg, {
+    cooldownMs: 0,
+    dedupeKey: `CALL_PARENT_TO_DECK|${page.swimmer_name.toLowerCase()}`,
+    locationId: page.location_id,
+    // Escalated pages go to every zone.
+    zones: page.escalated_at ? null : page.zones,
+    utterances,
+    priority: "high",
+    source,
+    templateKey: "CALL_PARENT_TO_DECK",
+    triggeredBy: triggeredBy || page.created_by,
+    ip,
+    tag: `page:${page.id}`
+  });
+}
+
+function stopPageRepeat(pageId) {
+  clearTimeout(pageTimers.get(pageId)?.timer);
+  pageTimers.delete(pageId);
+  cancelAnnouncementsByTag(`page:${pageId}`);
+}
+
+function schedulePageRepeat(page) {
+  if (pageTimers.has(page.id)) return;
+  pageTimers.set(page.id, {
+    timer: setTimeout(() => runPageRepeat(page.id), page.repeat_seconds * 1000),
+    at: new Date(Date.now() + page.repeat_seconds * 1000).toISOString()
+  });
+}
+
+function runPageRepeat(pageId) {
+  pageTimers.delete(pageId);
+  let page = getParentPage(pageId);
+  if (!page || page.status !== "open" || page.acknowledged_at) return;
+  if (page.repeat_count >= PAGE_MAX_REPEATS) {
+    console.log(`[PAGE] #${page.id} (${page.swimmer_name}) stopped repeating after ${page.repeat_count} repeats; still open`);
+    return;
+  }
+
+  if (!page.escalated_at && page.repeat_count >= PAGE_ESCALATE_AFTER) {
+    db.prepare(`UPDATE parent_pages SET escalated_at = ? WHERE id = ?`).run(nowISO(), page.id);
+    page = getParentPage(page.id);
+    logActivity("page_escalated", { location_id: page.location_id, details: { page_id: page.id, swimmer_name: page.swimmer_name, repeats: page.repeat_count } });
+    broadcastLiveEvent(page.location_id, "page", { page_id: page.id, swimmer_name: page.swimmer_name, action: "escalated" });
+  }
+
+  speakParentPage(page, { source: "page-repeat" })
+    .catch((e) => console.error(`[PAGE] #${page.id} failed to play:`, e?.message || e))
+    .finally(() => {
+      db.prepare(`UPDATE parent_pages SET repeat_count = repeat_count + 1 WHERE id = ?`).run(page.id);
+      const current = getParentPage(page.id);
+      if (current && current.status === "open" && !current.acknowledged_at) schedulePageRepeat(current);
+    });
+}
+
+// Open, unacknowledged pages keep repeating across a restart.
+function resumeParentPages() {
+  for (const page of listParentPages(null, { status: "open", limit: 500 })) {
+    if (!page.acknowledged_at) schedulePageRepeat(page);
+  }
+}
+
+async function handleOpenParentPage(req, res) {
+  try {
+    const { swimmer_name, device_mode, location_id, zones, start_time, repeat_seconds, initials } = req.body || {};
+    if (!String(swimmer_name || "").trim()) return res.status(400).json({ ok: false, error: "missing swimmer_name" });
+    const location = getLocationById(Number(location_id || 1));
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+    const { unknown } = resolveAudioZones(location.id, zones);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown audio zones", details: { zones: unknown } });
+    const repeatSeconds = repeat_seconds === undefined || repeat_seconds === null || repeat_seconds === ""
+      ? PAGE_REPEAT_SECONDS
+      : Number(repeat_seconds);
+    if (!Number.isInteger(repeatSeconds) || repeatSeconds < 30 || repeatSeconds > 900) {
+      return res.status(400).json({ ok: false, error: "repeat_seconds must be a whole number between 30 and 900" });
+    }
+
+    const tpl = getAnnouncementTemplate("CALL_PARENT_TO_DECK");
+    if (tpl && !tpl.enabled) return res.json({ ok: true, skipped: true, reason: "disabled" });
+
+    const name = String(swimmer_name).trim();
+    // A second tap for the same swimmer returns the page that is already open.
+    const open = listParentPages(location.id).find((p) => p.swimmer_name.toLowerCase() === name.toLowerCase());
+    if (open) return res.json({ ok: true, page: open, already_open: true });
+
+    const date = todayISOInTimeZone(getLocationTimeZone(location));
+    const match = findRosterSwimmer(location, date, name, start_time || null);
+    const targetZones = normalizeZoneList(zones) || tpl?.zones || null;
+    const trigger = announcementTrigger(req);
+    const draft = {
+      location_id: location.id,
+      swimmer_name: match?.swimmer_name || name,
+      date,
+      start_time: match?.start_time || null,
+      instructor_name: match?.instructor_name || null
+    };
+    const { msg } = renderParentPageMessage(draft);
+
+    const result = db.prepare(`
+      INSERT INTO parent_pages (
+        location_id, swimmer_name, date, start_time, instructor_name, zones, text,
+        repeat_seconds, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      location.id, draft.swimmer_name, date, draft.start_time, draft.instructor_name,
+      targetZones ? JSON.stringify(targetZones) : null, msg,
+      repeatSeconds, trigger.triggeredBy, nowISO()
+    );
+    const page = getParentPage(result.lastInsertRowid);
+
+    audit(req, "call_parent", { device_mode, date, start_time: page.start_time, swimmer_name: page.swimmer_name, details: { page_id: page.id, text: msg, template_key: "CALL_PARENT_TO_DECK", location_id: location.id, zones: page.zones, instructor: page.instructor_name } });
+    logActivity("page_opened", { location_id: location.id, initials: normalizeInitials(initials) || null, details: { page_id: page.id, swimmer_name: page.swimmer_name } });
+    broadcastLiveEvent(location.id, "page", { page_id: page.id, swimmer_name: page.swimmer_name, action: "opened" });
+
+    // The page exists from here on, so it repeats even when the first play fails (e.g. TTS
+    // down): each repeat retries the speech, and the error body still carries the page.
+    let out;
+    try {
+      out = await speakParentPage(page, { source: "call-parent", ...trigger });
+    } catch (e) {
+      schedulePageRepeat(page);
+      return res.status(500).json({ ok: false, error: "call-parent failed", details: String(e?.message || e), page: getParentPage(page.id) });
+    }
+    schedulePageRepeat(page);
+    if (!out.ok) return res.status(400).json({ ok: false, error: out.error || "speech failed", page: getParentPage(page.id) });
+    res.json({ ok: true, page: getParentPage(page.id), lastAnnouncement: getAnnouncerState(location.id).lastAnnouncement, skipped: !!out.skipped });
   } catch (e) {
     res.status(500).json({ ok: false, error: "call-parent failed", details: String(e?.stack || e?.message || e) });
   }
+}
+
+app.get("/api/pages", (req, res) => {
+  try {
+    const locId = req.query.location_id ? Number(req.query.location_id) : null;
+    const status = req.query.status === "all" ? null : String(req.query.status || "open");
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit || 100)));
+    res.json({ ok: true, pages: listParentPages(locId, { status, limit }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "pages failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+app.post("/api/pages", handleOpenParentPage);
+
+// "Seen / on the way": stops the repeats but leaves the page open until the parent arrives.
+app.post("/api/pages/:id/acknowledge", (req, res) => {
+  try {
+    const { initials, device_mode } = req.body || {};
+    const page = getParentPage(req.params.id);
+    if (!page) return res.status(404).json({ ok: false, error: "Page not found" });
+    if (page.status !== "open" || page.acknowledged_at) return res.json({ ok: true, page });
+
+    const by = normalizeInitials(initials) || device_mode || null;
+    db.prepare(`UPDATE parent_pages SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ?`).run(nowISO(), by, page.id);
+    stopPageRepeat(page.id);
+
+    audit(req, "page_acknowledge", { device_mode, swimmer_name: page.swimmer_name, details: { page_id: page.id, location_id: page.location_id, by, repeats: page.repeat_count } });
+    broadcastLiveEvent(page.location_id, "page", { page_id: page.id, swimmer_name: page.swimmer_name, action: "acknowledged" });
+    res.json({ ok: true, page: getParentPage(page.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "page acknowledge failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// Parent arrived (or { cancelled: true } for a page sent by mistake).
+app.post("/api/pages/:id/close", (req, res) => {
+  try {
+    const { initials, device_mode, cancelled } = req.body || {};
+    const page = getParentPage(req.params.id);
+    if (!page) return res.status(404).json({ ok: false, error: "Page not found" });
+    if (page.status !== "open") return res.json({ ok: true, page });
+
+    const now = nowISO();
+    const by = normalizeInitials(initials) || device_mode || null;
+    const status = cancelled ? "cancelled" : "closed";
+    const responseSeconds = cancelled ? null : Math.max(0, Math.round((Date.parse(now) - Date.parse(page.created_at)) / 1000));
+    db.prepare(`
+      UPDATE parent_pages SET status = ?, closed_at = ?, closed_by = ?, response_seconds = ? WHERE id = ?
+    `).run(status, now, by, responseSeconds, page.id);
+    stopPageRepeat(page.id);
+
+    audit(req, cancelled ? "page_cancel" : "page_close", { device_mode, swimmer_name: page.swimmer_name, details: { page_id: page.id, location_id: page.location_id, by, response_seconds: responseSeconds, repeats: page.repeat_count, escalated: !!page.escalated_at } });
+    logActivity(cancelled ? "page_cancelled" : "page_closed", { location_id: page.location_id, initials: normalizeInitials(initials) || null, details: { page_id: page.id, swimmer_name: page.swimmer_name, response_seconds: responseSeconds } });
+    broadcastLiveEvent(page.location_id, "page", { page_id: page.id, swimmer_name: page.swimmer_name, action: status });
+    res.json({ ok: true, page: getParentPage(page.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "page close failed", details: String(e?.stack || e?.message || e) });
+  }
 });
 
 // Export CSV of today's roster + attendance
@@ -2150,11 +5392,199 @@ app.get("/api/export-attendance", (req, res) => {
     const csv = lines.join("\n");
     const filename = `attendance_${date}.csv`;
 
-    res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(csv);
-  } catch (e) {
-    res.status(500).json({ ok: false, error: "export failed", details: String(e?.stack || e?.message || e) });
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: "export failed", details: String(e?.stack || e?.message || e) });
+  }
+});
+
+// ==================== ROSTER VERSIONS ====================
+// Every bulk roster write (upload, import, clear, rollback) saves the rows it is about to
+// change as a version first: trackRosterChange(...) snapshots the range, runs the change
+// and records who/when/what it did. Rolling back to a version puts that snapshot back.
+// Callers run it inside db.transaction so the change and its version commit together.
+const ROSTER_VERSIONS_KEEP = Math.max(10, Number(process.env.ROSTER_VERSIONS_KEEP || 200));
+
+function rosterRangeWhere(dateStart, dateEnd) {
+  return dateEnd ? `date BETWEEN ? AND ?` : `date >= ?`;
+}
+
+function snapshotRoster(locationId, dateStart, dateEnd) {
+  const params = dateEnd ? [locationId, dateStart, dateEnd] : [locationId, dateStart];
+  return db.prepare(`
+    SELECT * FROM roster WHERE location_id = ? AND ${rosterRangeWhere(dateStart, dateEnd)}
+    ORDER BY date, start_time, swimmer_name
+  `).all(...params);
+}
+
+// Counts of swimmers added, removed and changed going from one snapshot to another.
+function summarizeRosterChange(before, after) {
+  const key = (r) => `${r.date}|${r.start_time}|${String(r.swimmer_name).toLowerCase()}`;
+  const beforeByKey = new Map(before.map((r) => [key(r), r]));
+  const afterKeys = new Set();
+  const summary = { added: 0, removed: 0, changed: 0, dates: [] };
+  const dates = new Set();
+  for (const r of after) {
+    afterKeys.add(key(r));
+    const old = beforeByKey.get(key(r));
+    if (!old) {
+      summary.added += 1;
+      dates.add(r.date);
+    } else if (Object.keys(r).some((f) => f !== "updated_at" && f !== "created_at" && r[f] !== old[f])) {
+      summary.changed += 1;
+      dates.add(r.date);
+    }
+  }
+  for (const r of before) {
+    if (!afterKeys.has(key(r))) {
+      summary.removed += 1;
+      dates.add(r.date);
+    }
+  }
+  summary.dates = Array.from(dates).sort();
+  return summary;
+}
+
+function pruneRosterVersions(locationId) {
+  db.prepare(`
+    DELETE FROM roster_versions
+    WHERE location_id = ? AND id NOT IN (
+      SELECT id FROM roster_versions WHERE location_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(locationId, locationId, ROSTER_VERSIONS_KEEP);
+}
+
+// Snapshots location/date range, runs change() and records the version. Returns
+// { result, version_id } where result is whatever change() returned.
+function trackRosterChange({ locationId, action, dateStart, dateEnd = null, sourceFile = null, createdBy = null }, change) {
+  const before = snapshotRoster(locationId, dateStart, dateEnd);
+  const result = change();
+  const after = snapshotRoster(locationId, dateStart, dateEnd);
+  const summary = summarizeRosterChange(before, after);
+  if (!summary.added && !summary.removed && !summary.changed) return { result, version_id: null };
+
+  const info = db.prepare(`
+    INSERT INTO roster_versions (
+      location_id, action, date_start, date_end, source_file, created_by, created_at,
+      rows_before, rows_after, summary, rows_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    locationId, action, dateStart, dateEnd, sourceFile, createdBy, nowISO(),
+    before.length, after.length, JSON.stringify(summary), JSON.stringify(before)
+  );
+  pruneRosterVersions(locationId);
+  broadcastLiveEvent(locationId, "roster", { action, date_start: dateStart, date_end: dateEnd });
+  return { result, version_id: Number(info.lastInsertRowid) };
+}
+
+function formatRosterVersion(row) {
+  if (!row) return null;
+  const { rows_json, summary, ...rest } = row;
+  let parsedSummary = null;
+  try {
+    parsedSummary = summary ? JSON.parse(summary) : null;
+  } catch {
+    parsedSummary = null;
+  }
+  return { ...rest, summary: parsedSummary };
+}
+
+// Replaces the location's rows in the range with the snapshot, columns as they were saved.
+function restoreRosterSnapshot(locationId, dateStart, dateEnd, rows) {
+  const columns = db.prepare(`PRAGMA table_info(roster)`).all().map((c) => c.name);
+  const params = dateEnd ? [locationId, dateStart, dateEnd] : [locationId, dateStart];
+  db.prepare(`DELETE FROM roster WHERE location_id = ? AND ${rosterRangeWhere(dateStart, dateEnd)}`).run(...params);
+  const ins = db.prepare(`
+    INSERT INTO roster (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})
+  `);
+  for (const r of rows) {
+    ins.run(...columns.map((c) => (c === "location_id" ? locationId : (r[c] === undefined ? null : r[c]))));
+  }
+  return rows.length;
+}
+
+app.get("/api/roster-versions", (req, res) => {
+  try {
+    const locId = parseLocationId(req.query.location_id);
+    if (!locId) return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), ROSTER_VERSIONS_KEEP);
+    const rows = db.prepare(`
+      SELECT * FROM roster_versions WHERE location_id = ? ORDER BY id DESC LIMIT ?
+    `).all(locId, limit);
+    res.json({ ok: true, versions: rows.map(formatRosterVersion) });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.get("/api/roster-versions/:id", (req, res) => {
+  try {
+    const version = db.prepare(`SELECT * FROM roster_versions WHERE id = ?`).get(Number(req.params.id));
+    if (!version) return res.status(404).json({ ok: false, error: "not found" });
+    const rows = JSON.parse(version.rows_json || "[]");
+    const current = snapshotRoster(version.location_id, version.date_start, version.date_end);
+    res.json({
+      ok: true,
+      version: formatRosterVersion(version),
+      rows,
+      // What rolling back to this version would do to the roster as it is now.
+      rollback_preview: { current_rows: current.length, ...summarizeRosterChange(current, rows) }
+    });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Restores a version's snapshot. date_start/date_end narrow the rollback to part of the
+// version's range; everything happens in one transaction and is itself a new version.
+app.post("/api/roster-versions/:id/rollback", (req, res) => {
+  try {
+    const initialsClean = normalizeInitials(req.body?.initials);
+    if (!initialsClean) {
+      return res.status(400).json({ ok: false, error: "Initials required" });
+    }
+    const version = db.prepare(`SELECT * FROM roster_versions WHERE id = ?`).get(Number(req.params.id));
+    if (!version) return res.status(404).json({ ok: false, error: "not found" });
+    const location = getLocationById(version.location_id);
+    if (!location) return res.status(400).json({ ok: false, error: "Invalid location" });
+
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || ""));
+    const { date_start, date_end } = req.body || {};
+    if ((date_start && !isDate(date_start)) || (date_end && !isDate(date_end))) {
+      return res.status(400).json({ ok: false, error: "dates must be YYYY-MM-DD" });
+    }
+    const dateStart = date_start && date_start > version.date_start ? date_start : version.date_start;
+    let dateEnd = version.date_end;
+    if (date_end) dateEnd = dateEnd && dateEnd < date_end ? dateEnd : date_end;
+    if (dateEnd && dateEnd < dateStart) {
+      return res.status(400).json({ ok: false, error: "date range is outside this version" });
+    }
+
+    const rows = JSON.parse(version.rows_json || "[]")
+      .filter((r) => r.date >= dateStart && (!dateEnd || r.date <= dateEnd));
+
+    const { result: restored, version_id } = db.transaction(() => trackRosterChange({
+      locationId: location.id,
+      action: "rollback",
+      dateStart,
+      dateEnd,
+      sourceFile: `version #${version.id}`,
+      createdBy: initialsClean
+    }, () => restoreRosterSnapshot(location.id, dateStart, dateEnd, rows)))();
+    prerenderUpcomingBlocks(location);
+
+    audit(req, "roster_rollback", {
+      date: dateStart,
+      details: { location_id: location.id, version_id: version.id, date_start: dateStart, date_end: dateEnd, restored, initials: initialsClean }
+    });
+    logActivity("roster_rollback", { location_id: location.id, initials: initialsClean, details: { version_id: version.id, date_start: dateStart, date_end: dateEnd, restored } });
+
+    res.json({ ok: true, restored, date_start: dateStart, date_end: dateEnd, version_id });
+  } catch (error) {
+    console.error("Roster rollback error:", error);
+    res.status(500).json({ ok: false, error: error.message });
   }
 });
 
@@ -2381,7 +5811,15 @@ app.post("/api/import-server", (req, res) => {
       return res.status(400).json({ ok: false, error: "No rows in export file" });
     }
 
-    const result = importRosterRows({ date: importDate, locationId, rows });
+    const { result, version_id } = db.transaction(() => trackRosterChange({
+      locationId,
+      action: "import_server",
+      dateStart: importDate,
+      dateEnd: importDate,
+      sourceFile: safeName,
+      createdBy: initialsClean
+    }, () => importRosterRows({ date: importDate, locationId, rows })))();
+    prerenderUpcomingBlocks(location);
 
     audit(req, "import_server", {
       location: location.name,
@@ -2389,11 +5827,12 @@ app.post("/api/import-server", (req, res) => {
       date: importDate,
       count: result.imported,
       filename: safeName,
-      initials: initialsClean
+      initials: initialsClean,
+      version_id
     });
     logActivity("import_server", { location_id: locationId, initials: initialsClean, details: { filename: safeName, date: importDate } });
 
-    res.json({ ok: true, date: importDate, count: result.imported, filename: safeName });
+    res.json({ ok: true, date: importDate, count: result.imported, filename: safeName, version_id });
   } catch (e) {
     res.status(500).json({ ok: false, error: "import-server failed", details: String(e?.stack || e?.message || e) });
   }
@@ -2401,10 +5840,140 @@ app.post("/api/import-server", (req, res) => {
 
 
 // ==================== HTML UPLOAD SUPPORT ====================
+// Import validation report: what a roll sheet parse dropped, defaulted or looks wrong.
+// Section-level checks come from the parser (parseHTMLRoster passes them in); the
+// row-level ones here also cover PDF roll sheets. Checks that could not run are listed
+// in checks_skipped so an empty report is not mistaken for a clean one.
+const ROSTER_ISSUE_SEVERITY = {
+  section_skipped: "error",
+  date_out_of_range: "warning",
+  over_capacity: "warning",
+  duplicate_swimmer: "warning",
+  no_instructor: "warning",
+  zone_defaulted: "warning",
+  missing_age: "info"
+};
+
+// The PDF text has no class section markup to check against.
+const PDF_SKIPPED_ROSTER_CHECKS = [
+  { check: "section_skipped", message: "Skipped sections not checked: PDF roll sheets have no section markup" },
+  { check: "zone_defaulted", message: "Missing zones not checked: PDF roll sheets have no section markup" },
+  { check: "over_capacity", message: "Class capacity not checked: PDF roll sheets do not list it" }
+];
+
+const ROSTER_RANGE_LABELS = {
+  report: "the report's date filter",
+  sheet: "the sheet date",
+  manager_range: "the manager date range"
+};
+
+// Dates the rows should fall in: the report's own date filter, else the sheet's date
+// (filename or text), else the manager date range. null when none is known.
+function rosterExpectedRange({ reportRange = null, sheetDate = null } = {}) {
+  if (reportRange) return { ...reportRange, source: "report" };
+  if (sheetDate) return { start: sheetDate, end: sheetDate, source: "sheet" };
+  const managerRange = getManagerDateRange();
+  return managerRange ? { start: managerRange.start, end: managerRange.end, source: "manager_range" } : null;
+}
+
+function buildRosterValidation(rows, { sections = null, sectionsSkipped = 0, issues = [], expectedRange = null, skippedChecks = [] } = {}) {
+  const all = [...issues];
+  const skipped = [...skippedChecks];
+  const time12 = (t) => (t ? formatTime12h(t) : "?");
+
+  // Only rows with a date of their own can fall outside; the rest take the sheet date.
+  if (expectedRange) {
+    const outOfRange = new Map();
+    for (const r of rows) {
+      if (r.date && (r.date < expectedRange.start || r.date > expectedRange.end)) outOfRange.set(r.date, (outOfRange.get(r.date) || 0) + 1);
+    }
+    const span = expectedRange.start === expectedRange.end ? expectedRange.start : `${expectedRange.start} → ${expectedRange.end}`;
+    for (const [date, count] of outOfRange) {
+      all.push({
+        type: "date_out_of_range",
+        date,
+        swimmers: count,
+        expected_start: expectedRange.start,
+        expected_end: expectedRange.end,
+        expected_source: expectedRange.source,
+        message: `${count} row(s) dated ${date}, outside ${ROSTER_RANGE_LABELS[expectedRange.source]} (${span})`
+      });
+    }
+  } else {
+    skipped.push({ check: "date_out_of_range", message: "Dates not checked: no report date filter, sheet date or manager date range to compare with" });
+  }
+
+  const byKey = new Map();
+  const noInstructor = new Map();
+  const missingAge = new Map();
+  // Multi-day sheets repeat the same time on each date, so messages name the date too.
+  const when = (date, startTime) => (date ? `${time12(startTime)} on ${date}` : time12(startTime));
+  for (const r of rows) {
+    const name = String(r.swimmer_name || "").trim();
+    const key = `${r.date || ""}|${r.start_time}|${name.toLowerCase()}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(r);
+    if (!r.instructor_name) {
+      const blockKey = `${r.date || ""}|${r.start_time}`;
+      if (!noInstructor.has(blockKey)) noInstructor.set(blockKey, { date: r.date || null, start_time: r.start_time, swimmers: [] });
+      noInstructor.get(blockKey).swimmers.push(name);
+    }
+    const ageKey = `${r.date || ""}|${r.start_time}|${name.toLowerCase()}`;
+    if (!r.age_text && !missingAge.has(ageKey)) missingAge.set(ageKey, { date: r.date || null, start_time: r.start_time, swimmer_name: name });
+  }
+
+  for (const list of byKey.values()) {
+    if (list.length < 2) continue;
+    const { date, start_time, swimmer_name } = list[0];
+    const instructors = list.map((r) => r.instructor_name || "no instructor");
+    all.push({
+      type: "duplicate_swimmer",
+      date: date || null,
+      start_time,
+      swimmer_name,
+      instructors,
+      message: `${swimmer_name} is listed ${list.length} times at ${when(date, start_time)} (${instructors.join(", ")})`
+    });
+  }
+  for (const block of noInstructor.values()) {
+    all.push({
+      type: "no_instructor",
+      ...block,
+      message: `${block.swimmers.length} swimmer(s) at ${when(block.date, block.start_time)} have no instructor`
+    });
+  }
+  for (const row of missingAge.values()) {
+    all.push({ type: "missing_age", ...row, message: `${row.swimmer_name} (${when(row.date, row.start_time)}) has no age` });
+  }
+
+  const counts = {};
+  const rank = { error: 0, warning: 1, info: 2 };
+  const withSeverity = all.map((issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+    return { severity: ROSTER_ISSUE_SEVERITY[issue.type] || "warning", ...issue };
+  }).sort((a, b) => rank[a.severity] - rank[b.severity]);
+  return {
+    ok: !withSeverity.some((issue) => issue.severity === "error"),
+    sections,
+    sections_skipped: sectionsSkipped,
+    swimmers: rows.length,
+    counts,
+    issues: withSeverity,
+    checks_skipped: skipped
+  };
+}
+
 function parseHTMLRoster(html) {
   const $ = cheerio.load(html);
   const swimmers = [];
   const datesFound = new Set();
+  const issues = [];
+  let sectionCount = 0;
+  let sectionsSkipped = 0;
+
+  // The report's own date filter ("startDate"/"endDate" in its embedded JSON).
+  const filterMatch = String(html || "").match(/"startDate"\s*:\s*"?(\d{4}-\d{2}-\d{2})[^}]*?"endDate"\s*:\s*"?(\d{4}-\d{2}-\d{2})/);
+  const reportRange = filterMatch ? { start: filterMatch[1], end: filterMatch[2] } : null;
 
   const extractInstructorMeta = (raw) => {
     const lines = String(raw || "")
@@ -2460,7 +6029,25 @@ function parseHTMLRoster(html) {
       startTime = normalizeTimeTo24h(timeMatch[0].trim());
     }
     
-    if (!startTime) return;
+    sectionCount += 1;
+    const sectionHeader = $section.find('.full-width-header').text().replace(/\s+/g, ' ').trim() || null;
+    const sectionSwimmerCount = $section.find('table.table-roll-sheet tbody tr .student-name strong').length;
+
+    if (!startTime) {
+      // Only worth reporting when swimmers were dropped with it.
+      if (sectionSwimmerCount > 0) {
+        sectionsSkipped += 1;
+        const scheduleRaw = scheduleText.replace(/\s+/g, ' ').trim();
+        issues.push({
+          type: "section_skipped",
+          reason: scheduleRaw ? `no time in Schedule: "${scheduleRaw}"` : "no Schedule: header",
+          header: sectionHeader,
+          swimmers: sectionSwimmerCount,
+          message: `Skipped ${sectionSwimmerCount} swimmer(s) in "${sectionHeader || "untitled section"}": ${scheduleRaw ? `no time in Schedule "${scheduleRaw}"` : "no Schedule: header"}`
+        });
+      }
+      return;
+    }
     
     let instructorName = null;
     let substituteInstructor = null;
@@ -2553,6 +6140,38 @@ function parseHTMLRoster(html) {
       zone = parseInt(zoneMatch[1]);
     }
 
+    const sectionLabel = `${formatTime12h(startTime)} ${instructorName || substituteInstructor || "(no instructor)"}${programText ? ` — ${programText}` : ""}`;
+    if (!zoneMatch && sectionSwimmerCount > 0) {
+      const zoneRaw = $section.find('th:contains("Zone:")').next().text().replace(/\s+/g, ' ').trim();
+      issues.push({
+        type: "zone_defaulted",
+        start_time: startTime,
+        section: sectionLabel,
+        zone_text: zoneRaw || null,
+        message: `${sectionLabel}: ${zoneRaw ? `zone "${zoneRaw}" not recognised` : "no zone"}, defaulted to zone 1`
+      });
+    }
+
+    const capacityText = $section.find('th:contains("Capacity:")').next().text().replace(/\s+/g, ' ').trim();
+    // A capacity of 0 means none is set on the class.
+    const capacity = /^\d+$/.test(capacityText) ? Number(capacityText) : 0;
+    if (capacity > 0) {
+      const names = new Set();
+      $section.find('table.table-roll-sheet tbody tr .student-name strong').each((_, nameNode) => {
+        names.add($(nameNode).text().trim().toLowerCase());
+      });
+      if (names.size > capacity) {
+        issues.push({
+          type: "over_capacity",
+          start_time: startTime,
+          section: sectionLabel,
+          capacity,
+          swimmers: names.size,
+          message: `${sectionLabel}: ${names.size} swimmers for a capacity of ${capacity}`
+        });
+      }
+    }
+
     const $table = $section.find('table.table-roll-sheet').first();
     const sectionText = $section.text();
     const dateRange = parseDateRangeFromSectionText(sectionText);
@@ -2679,40 +6298,320 @@ function parseHTMLRoster(html) {
       }
     });
   });
-  
-  console.log(`HTML Parser: Found ${swimmers.length} swimmers`);
-  return { swimmers, dates: Array.from(datesFound) };
+
+  console.log(`HTML Parser: Found ${swimmers.length} swimmers${issues.length ? ` (${issues.length} section issues)` : ""}`);
+  // Section checks for buildRosterValidation; the date check needs the sheet date, so it runs there.
+  return { swimmers, dates: Array.from(datesFound), reportRange, sectionChecks: { sections: sectionCount, sectionsSkipped, issues } };
+}
+
+// ==================== ROSTER RE-IMPORT (DIFF + MERGE) ====================
+// mode "merge" compares the upload with what is in the roster and only applies the
+// difference, keeping what staff entered since: attendance, zone overrides, hand-edited
+// flags and add-ons. Only dates present in the upload are compared. mode "replace" (the
+// default) deletes and reinserts everything from today on, as before.
+const ROSTER_FLAG_FIELDS = ["flag_new", "flag_makeup", "flag_policy", "flag_owes", "flag_trial"];
+const ROSTER_IMPORT_FIELDS = [
+  "instructor_name", "substitute_instructor", "is_substitute", "original_instructor",
+  "zone", "program", "age_text", "balance_amount", ...ROSTER_FLAG_FIELDS
+];
+
+// Dates parsed swimmers (row date, else the sheet's date); importRows are today and later.
+function datedRosterImport(swimmers, detectedDate) {
+  const rows = swimmers.map((row) => ({ ...row, date: row.date || detectedDate }));
+  const dateList = Array.from(new Set(rows.map((row) => row.date).filter(Boolean))).sort();
+  const dateStart = dateList[0] || detectedDate;
+  const dateEnd = dateList[dateList.length - 1] || dateStart;
+  const today = todayISO();
+  return {
+    detectedDate,
+    swimmers,
+    dateList,
+    dateStart,
+    dateEnd,
+    importRows: rows.filter((row) => row.date >= today)
+  };
+}
+
+// Parses an uploaded HTML roll sheet into dated rows.
+function prepareRosterImport(html, filename) {
+  const sheetDate = parseDateFromFilename(filename) || parseDateFromHTML(html);
+  const detectedDate = sheetDate || todayISO();
+  const parsed = parseHTMLRoster(html);
+  const swimmers = parsed.swimmers;
+  return {
+    format: "html",
+    validation: buildRosterValidation(swimmers, {
+      ...parsed.sectionChecks,
+      expectedRange: rosterExpectedRange({ reportRange: parsed.reportRange, sheetDate })
+    }),
+    detectedLocation: resolveLocationByName(parseLocationFromHTML(html)),
+    ...datedRosterImport(swimmers, detectedDate)
+  };
 }
 
-app.post("/api/upload-html/preview", upload.single('html'), (req, res) => {
+// Same for a PDF roll sheet; location and date come from the PDF text when the filename
+// does not carry the date.
+async function preparePdfRosterImport(buffer, filename) {
+  const { method, text } = await extractPdfText(buffer);
+  const sheetDate = parseDateFromFilename(filename) || parseDateFromText(text);
+  const detectedDate = sheetDate || todayISO();
+  const swimmers = parseRosterFromLines(normalizeWhitespaceLines(text));
+  return {
+    format: "pdf",
+    validation: buildRosterValidation(swimmers, {
+      expectedRange: rosterExpectedRange({ sheetDate }),
+      skippedChecks: PDF_SKIPPED_ROSTER_CHECKS
+    }),
+    textMethod: method,
+    detectedLocation: detectRosterLocation(text),
+    ...datedRosterImport(swimmers, detectedDate)
+  };
+}
+
+function isPdfUpload(buffer, filename) {
+  return buffer.subarray(0, 5).toString("latin1") === "%PDF-" || /\.pdf$/i.test(String(filename || ""));
+}
+
+function prepareRosterUpload(buffer, filename) {
+  return isPdfUpload(buffer, filename)
+    ? preparePdfRosterImport(buffer, filename)
+    : Promise.resolve(prepareRosterImport(buffer.toString("utf8"), filename));
+}
+
+// Roll sheet uploads take the file as "html" (HTML or PDF, kept for older clients) or "pdf".
+const rosterUpload = upload.fields([{ name: "html", maxCount: 1 }, { name: "pdf", maxCount: 1 }]);
+
+function rosterUploadFile(req) {
+  return req.files?.html?.[0] || req.files?.pdf?.[0] || null;
+}
+
+// Location the import goes to: the one picked, else the one named in the sheet. An id
+// that matches no location is an error (invalid), not a cue to use the detected one.
+function resolveRosterUploadLocation(locationId, prepared) {
+  const picked = locationId ? getLocationById(Number(locationId)) : null;
+  if (locationId && !picked) return { location: null, warnings: [], invalid: true };
+  const location = picked || prepared.detectedLocation || null;
+  const warnings = [];
+  if (picked && prepared.detectedLocation && prepared.detectedLocation.id !== picked.id) {
+    warnings.push(`Roll sheet is for ${prepared.detectedLocation.name}, not ${picked.name}.`);
+  }
+  return { location, warnings };
+}
+
+function importedRosterValues(r) {
+  const values = {
+    instructor_name: r.instructor_name || null,
+    substitute_instructor: r.substitute_instructor || null,
+    is_substitute: r.is_substitute ? 1 : 0,
+    original_instructor: r.original_instructor || null,
+    zone: r.zone || null,
+    program: r.program || null,
+    age_text: r.age_text || null,
+    balance_amount: r.balance_amount === undefined || r.balance_amount === null ? null : Number(r.balance_amount)
+  };
+  for (const f of ROSTER_FLAG_FIELDS) values[f] = r[f] ? 1 : 0;
+  return values;
+}
+
+// field -> { from, to } for imported fields that differ; kept is set where a staff
+// override wins over the upload.
+function compareRosterRow(existing, incoming) {
+  const next = importedRosterValues(incoming);
+  const changes = {};
+  for (const f of ROSTER_IMPORT_FIELDS) {
+    const from = existing[f] === undefined ? null : existing[f];
+    if ((from ?? null) === next[f] || (from !== null && next[f] !== null && String(from) === String(next[f]))) continue;
+    const kept = f === "zone" && existing.zone_overridden ? "zone override"
+      : ROSTER_FLAG_FIELDS.includes(f) && existing.flags_overridden ? "flag edit"
+      : null;
+    changes[f] = kept ? { from, to: next[f], kept } : { from, to: next[f] };
+  }
+  if (existing.is_addon) changes.is_addon = { from: 1, to: 0 };
+  return changes;
+}
+
+function diffRosterImport(locationId, rows) {
+  const rowKey = (r) => `${r.date}|${String(r.swimmer_name || "").trim().toLowerCase()}`;
+  const fullKey = (r) => `${rowKey(r)}|${r.start_time}`;
+  // A swimmer listed twice in the same block counts once.
+  const incoming = Array.from(new Map(
+    rows.filter((r) => r.start_time && String(r.swimmer_name || "").trim()).map((r) => [fullKey(r), r])
+  ).values());
+  const dates = Array.from(new Set(incoming.map((r) => r.date))).sort();
+  const diff = { dates, added: [], removed: [], moved: [], changed: [], unchanged: 0 };
+  if (!dates.length) return diff;
+
+  const existing = db.prepare(`
+    SELECT * FROM roster WHERE location_id = ? AND date IN (${dates.map(() => "?").join(", ")})
+  `).all(locationId, ...dates);
+  const existingByKey = new Map(existing.map((r) => [fullKey(r), r]));
+  const matched = new Set();
+  const unmatched = [];
+
+  for (const r of incoming) {
+    const old = existingByKey.get(fullKey(r));
+    if (!old) {
+      unmatched.push(r);
+      continue;
+    }
+    matched.add(old);
+    const changes = compareRosterRow(old, r);
+    // Differences that only a staff override explains are not a change.
+    if (Object.values(changes).some((c) => !c.kept)) diff.changed.push({ row: r, existing: old, changes });
+    else diff.unchanged += 1;
+  }
+
+  // Same swimmer on the same day at a new time: moved, keeping attendance and overrides.
+  // Add-ons are never moved or removed by an import.
+  for (const r of unmatched) {
+    const old = existing.find((o) => !matched.has(o) && !o.is_addon && rowKey(o) === rowKey(r));
+    if (old) {
+      matched.add(old);
+      diff.moved.push({ row: r, existing: old, changes: compareRosterRow(old, r) });
+    } else {
+      diff.added.push({ row: r });
+    }
+  }
+  for (const old of existing) {
+    if (!matched.has(old) && !old.is_addon) diff.removed.push({ existing: old });
+  }
+  return diff;
+}
+
+// The diff as returned to the client (no internal row objects).
+function describeRosterDiff(diff) {
+  const who = (r) => ({ date: r.date, start_time: r.start_time, swimmer_name: r.swimmer_name, instructor_name: r.instructor_name || null });
+  const removed = diff.removed.map(({ existing }) => ({
+    ...who(existing),
+    attendance: existing.attendance,
+    // Rows with attendance already taken stay on the roster.
+    kept: existing.attendance === 0 || existing.attendance === 1
+  }));
+  return {
+    dates: diff.dates,
+    counts: {
+      added: diff.added.length,
+      removed: removed.filter((r) => !r.kept).length,
+      removed_kept: removed.filter((r) => r.kept).length,
+      moved: diff.moved.length,
+      changed: diff.changed.length,
+      unchanged: diff.unchanged
+    },
+    added: diff.added.map(({ row }) => who(row)),
+    removed,
+    moved: diff.moved.map(({ row, existing, changes }) => ({ ...who(row), from_start_time: existing.start_time, attendance: existing.attendance, changes })),
+    changed: diff.changed.map(({ row, changes }) => ({ ...who(row), changes }))
+  };
+}
+
+function mergeRosterImport(locationId, diff) {
+  const now = nowISO();
+  const insert = db.prepare(`
+    INSERT INTO roster (
+      location_id, date, start_time, swimmer_name,
+      ${ROSTER_IMPORT_FIELDS.join(", ")},
+      attendance, attendance_at, attendance_auto_absent, is_addon,
+      created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ${ROSTER_IMPORT_FIELDS.map(() => "?").join(", ")}, ?, NULL, 0, 0, ?, ?)
+    ON CONFLICT(location_id, date, start_time, swimmer_name) DO NOTHING
+  `);
+  const update = db.prepare(`
+    UPDATE roster SET
+      start_time = ?,
+      ${ROSTER_IMPORT_FIELDS.map((f) => `${f} = ?`).join(", ")},
+      is_addon = 0,
+      updated_at = ?
+    WHERE location_id = ? AND date = ? AND start_time = ? AND swimmer_name = ?
+  `);
+  const remove = db.prepare(`
+    DELETE FROM roster WHERE location_id = ? AND date = ? AND start_time = ? AND swimmer_name = ? AND attendance IS NULL
+  `);
+
+  const result = { added: 0, moved: 0, changed: 0, removed: 0, removed_kept: 0 };
+  db.transaction(() => {
+    for (const { row, existing } of [...diff.changed, ...diff.moved]) {
+      const values = importedRosterValues(row);
+      if (existing.zone_overridden) values.zone = existing.zone;
+      if (existing.flags_overridden) for (const f of ROSTER_FLAG_FIELDS) values[f] = existing[f];
+      update.run(row.start_time, ...ROSTER_IMPORT_FIELDS.map((f) => values[f]), now, locationId, existing.date, existing.start_time, existing.swimmer_name);
+      result[existing.start_time === row.start_time ? "changed" : "moved"] += 1;
+    }
+    for (const { row } of diff.added) {
+      const values = importedRosterValues(row);
+      const attendance = row.attendance === 0 || row.attendance === 1 ? row.attendance : null;
+      result.added += insert.run(locationId, row.date, row.start_time, String(row.swimmer_name).trim(), ...ROSTER_IMPORT_FIELDS.map((f) => values[f]), attendance, now, now).changes;
+    }
+    for (const { existing } of diff.removed) {
+      const gone = remove.run(locationId, existing.date, existing.start_time, existing.swimmer_name).changes;
+      result[gone ? "removed" : "removed_kept"] += 1;
+    }
+  })();
+  return result;
+}
+
+// Saves what is about to be replaced or merged to EXPORT_DIR/<code>/ so it can be restored.
+function backupRosterBeforeImport(location, fromDate, dateStart, dateEnd) {
+  const existingRoster = db.prepare(`
+    SELECT * FROM roster
+    WHERE date >= ? AND location_id = ? AND is_addon = 0
+  `).all(fromDate, location.id);
+  if (!existingRoster.length) return null;
+
+  // Format: roster_{LOCATION_CODE}_{DATE}_{TIMESTAMP}.json
+  // Example: roster_SLW_2026-01-24_2026-01-24T15-30-45-123Z.json
+  const exportDir = path.join(EXPORT_DIR, location.code);
+  if (!fs.existsSync(exportDir)) fs.mkdirSync(exportDir, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const exportFilename = `roster_${location.code}_${fromDate}_${timestamp}.json`;
+  fs.writeFileSync(path.join(exportDir, exportFilename), JSON.stringify({
+    location: location.name,
+    location_code: location.code,
+    date: fromDate,
+    date_start: dateStart,
+    date_end: dateEnd,
+    exported_at: nowISO(),
+    count: existingRoster.length,
+    roster: existingRoster
+  }, null, 2), 'utf-8');
+
+  console.log(`[AUTO-EXPORT] Saved ${existingRoster.length} swimmers to server: ${location.code}/${exportFilename}`);
+  return `${location.code}/${exportFilename}`;
+}
+
+app.post("/api/upload-html/preview", rosterUpload, async (req, res) => {
   try {
     const { location_id } = req.body || {};
-    if (!req.file || !req.file.buffer) {
-      return res.status(400).json({ ok: false, error: "No HTML file uploaded" });
+    const file = rosterUploadFile(req);
+    if (!file || !file.buffer) {
+      return res.status(400).json({ ok: false, error: "No roll sheet uploaded" });
     }
-    const html = req.file.buffer.toString("utf8");
-    const detectedDate = parseDateFromHTML(html) || todayISO();
-    let parsed = null;
+    let prepared = null;
     try {
-      parsed = parseHTMLRoster(html);
+      prepared = await prepareRosterUpload(file.buffer, file.originalname);
     } catch (parseError) {
-      return res.status(400).json({ ok: false, error: `Failed to parse HTML: ${parseError.message}` });
-    }
-    const swimmers = Array.isArray(parsed) ? parsed : (parsed?.swimmers || []);
-    const normalizedRows = swimmers.map((row) => ({ ...row, date: row.date || detectedDate }));
-    const dateList = Array.from(new Set(normalizedRows.map((row) => row.date).filter(Boolean))).sort();
-    const dateStart = dateList[0] || detectedDate;
-    const dateEnd = dateList[dateList.length - 1] || dateStart;
-    const location = location_id ? getLocationById(Number(location_id)) : null;
+      const what = isPdfUpload(file.buffer, file.originalname) ? "read PDF" : "parse HTML";
+      return res.status(400).json({ ok: false, error: `Failed to ${what}: ${parseError.message}` });
+    }
+    const { location, warnings, invalid } = resolveRosterUploadLocation(location_id, prepared);
+    if (invalid) return res.status(400).json({ ok: false, error: "Invalid location" });
     res.json({
       ok: true,
       summary: {
         location: location?.name || null,
-        report_type: "roster_html",
-        date_start: dateStart,
-        date_end: dateEnd,
-        count: swimmers.length
-      }
+        location_id: location?.id || null,
+        detected_location: prepared.detectedLocation?.name || null,
+        report_type: `roster_${prepared.format}`,
+        text_method: prepared.textMethod || null,
+        date: prepared.detectedDate,
+        date_start: prepared.dateStart,
+        date_end: prepared.dateEnd,
+        count: prepared.swimmers.length,
+        importable_count: prepared.importRows.length,
+        warnings
+      },
+      validation: prepared.validation,
+      // What a merge upload would change (needs a location).
+      diff: location ? describeRosterDiff(diffRosterImport(location.id, prepared.importRows)) : null
     });
   } catch (error) {
     console.error("HTML preview error:", error);
@@ -2720,194 +6619,441 @@ app.post("/api/upload-html/preview", upload.single('html'), (req, res) => {
   }
 });
 
-app.post("/api/upload-html", upload.single('html'), async (req, res) => {
+// The upload pipeline shared by /api/upload-html and the schedule folder watcher: backs up
+// the roster, applies the rows from today on (replace or merge), records a roster version
+// and warms tomorrow's TTS cache. Returns the response body; ok:false means nothing changed.
+function applyRosterImport(location, prepared, { mode = "replace", action = null, sourceFile = null, createdBy = null } = {}) {
+  const locId = location.id;
+  const { dateList, dateStart, dateEnd, importRows: rowsToInsert } = prepared;
+  const today = todayISO();
+  if (rowsToInsert.length === 0) {
+    return {
+      ok: false,
+      error: "No roster entries found for today or later.",
+      date_start: dateStart,
+      date_end: dateEnd
+    };
+  }
+  const activeDate = dateList.includes(today) ? today : dateStart;
+  setActiveDate(activeDate);
+
+  // Auto-export existing roster before clearing or merging (if any exists)
+  // Exports are stored on SERVER in subdirectories: exports/{LOCATION_CODE}/
+  const backupFile = backupRosterBeforeImport(location, today, dateStart, dateEnd);
+
+  const versionInfo = {
+    locationId: locId,
+    action: action || (mode === "merge" ? "html_upload_merge" : "html_upload"),
+    sourceFile,
+    createdBy
+  };
+
+  if (mode === "merge") {
+    const diff = diffRosterImport(locId, rowsToInsert);
+    const mergeDates = rowsToInsert.map((row) => row.date).sort();
+    const { result: merged, version_id } = db.transaction(() => trackRosterChange({
+      ...versionInfo,
+      dateStart: mergeDates[0],
+      dateEnd: mergeDates[mergeDates.length - 1]
+    }, () => mergeRosterImport(locId, diff)))();
+    prerenderUpcomingBlocks(location);
+    return { ok: true, mode, count: rowsToInsert.length, merged, diff: describeRosterDiff(diff), backup_file: backupFile, version_id, date_start: dateStart, date_end: dateEnd, location: location.name };
+  }
+
+  const now = nowISO();
+  const ins = db.prepare(`
+    INSERT INTO roster (
+      date, start_time, swimmer_name,
+      instructor_name, substitute_instructor, is_substitute, original_instructor, zone, program, age_text,
+      attendance, attendance_at, attendance_auto_absent,
+      is_addon,
+      flag_new, flag_makeup, flag_policy, flag_owes, flag_trial,
+      balance_amount,
+      location_id,
+      created_at, updated_at
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?
+    )
+    ON CONFLICT(location_id, date, start_time, swimmer_name) DO UPDATE SET
+      instructor_name=excluded.instructor_name,
+      substitute_instructor=excluded.substitute_instructor,
+      is_substitute=excluded.is_substitute,
+      original_instructor=excluded.original_instructor,
+      zone=excluded.zone,
+      program=excluded.program,
+      age_text=excluded.age_text,
+      attendance=excluded.attendance,
+      attendance_at=excluded.attendance_at,
+      attendance_auto_absent=excluded.attendance_auto_absent,
+      is_addon=excluded.is_addon,
+      flag_new=excluded.flag_new,
+      flag_makeup=excluded.flag_makeup,
+      flag_policy=excluded.flag_policy,
+      flag_owes=excluded.flag_owes,
+      flag_trial=excluded.flag_trial,
+      balance_amount=excluded.balance_amount,
+      location_id=excluded.location_id,
+      updated_at=excluded.updated_at
+  `);
+
+  const tx = db.transaction((rows) => {
+    for (const r of rows) {
+      ins.run(
+        r.date, r.start_time, r.swimmer_name,
+        r.instructor_name || null,
+        r.substitute_instructor || null,
+        r.is_substitute || 0,
+        r.original_instructor || null,
+        r.zone || null,
+        r.program || null,
+        r.age_text || null,
+        r.attendance !== undefined ? r.attendance : null,
+        r.attendance_auto_absent ? 1 : 0,
+        r.flag_new || 0, r.flag_makeup || 0, r.flag_policy || 0, r.flag_owes || 0, r.flag_trial || 0,
+        r.balance_amount !== undefined ? r.balance_amount : null,
+        locId,
+        now, now
+      );
+    }
+  });
+
+  const { version_id } = db.transaction(() => trackRosterChange({ ...versionInfo, dateStart: today }, () => {
+    // Delete existing roster from today forward for this location
+    db.prepare(`DELETE FROM roster WHERE date >= ? AND location_id = ? AND is_addon = 0`).run(today, locId);
+    tx(rowsToInsert);
+  }))();
+
+  prerenderUpcomingBlocks(location);
+  return { ok: true, mode, count: rowsToInsert.length, backup_file: backupFile, version_id, date_start: dateStart, date_end: dateEnd, location: location.name };
+}
+
+app.post("/api/upload-html", rosterUpload, async (req, res) => {
   try {
     // Handle FormData file upload (new method)
-    let html, filename;
+    let buffer, filename;
+    const file = rosterUploadFile(req);
 
-    if (req.file) {
-      // FormData upload
-      html = req.file.buffer.toString('utf-8');
-      filename = req.file.originalname;
+    if (file) {
+      // FormData upload (HTML or PDF)
+      buffer = file.buffer;
+      filename = file.originalname;
     } else if (req.body.html_content) {
       // JSON upload (fallback for compatibility)
-      html = req.body.html_content;
+      buffer = Buffer.from(String(req.body.html_content), "utf-8");
       filename = req.body.filename;
     } else if (req.body.html_base64) {
       // Base64 upload (legacy)
-      html = Buffer.from(req.body.html_base64, "base64").toString("utf-8");
+      buffer = Buffer.from(req.body.html_base64, "base64");
       filename = req.body.filename;
     } else {
       return res.status(400).json({ ok: false, error: "No file data provided" });
     }
 
-    const locId = Number(req.body.location_id || req.query.location_id || 1);
-    const location = db.prepare(`SELECT * FROM locations WHERE id = ?`).get(locId);
+    const mode = String(req.body.mode || req.query.mode || "replace").toLowerCase();
+    if (!["replace", "merge"].includes(mode)) {
+      return res.status(400).json({ ok: false, error: "mode must be replace or merge" });
+    }
+
+    const isPdf = isPdfUpload(buffer, filename);
+    let prepared = null;
+    try {
+      prepared = await prepareRosterUpload(buffer, filename);
+    } catch (parseError) {
+      return res.status(400).json({ ok: false, error: `Failed to ${isPdf ? "read PDF" : "parse HTML"}: ${parseError.message}` });
+    }
 
+    const resolved = resolveRosterUploadLocation(req.body.location_id || req.query.location_id, prepared);
+    const { warnings } = resolved;
+    const location = resolved.invalid ? null : resolved.location || getLocationById(1);
     if (!location) {
       return res.status(400).json({ ok: false, error: "Invalid location" });
     }
 
-    const detectedDate =
-      parseDateFromFilename(filename) ||
-      parseDateFromHTML(html) ||
-      todayISO();
+    if (prepared.swimmers.length === 0) {
+      return res.status(400).json({ ok: false, error: `No swimmers found in ${isPdf ? "PDF" : "HTML"} file` });
+    }
 
     // Save to location-specific folder with descriptive filename
-    // Format: roll_sheet_{LOCATION_NAME}_{DATE}.html
+    // Format: roll_sheet_{LOCATION_NAME}_{DATE}.html (or .pdf)
     const locationDir = getScheduleDir(location);
     if (!fs.existsSync(locationDir)) fs.mkdirSync(locationDir, { recursive: true });
-    const htmlFilename = `roll_sheet_${getLocationFileTag(location)}_${detectedDate}.html`;
-    const htmlPath = path.join(locationDir, htmlFilename);
+    const savedFilename = `roll_sheet_${getLocationFileTag(location)}_${prepared.detectedDate}.${isPdf ? "pdf" : "html"}`;
+    const savedPath = path.join(locationDir, savedFilename);
     try {
-      fs.writeFileSync(htmlPath, html, "utf-8");
+      fs.writeFileSync(savedPath, buffer);
+      // Already being imported here; the folder watcher must not pick it up again.
+      recordScheduleFile(location.id, savedPath, { status: "uploaded", mode });
     } catch (writeError) {
-      return res.status(500).json({ ok: false, error: `Failed to save HTML: ${writeError.message}` });
+      return res.status(500).json({ ok: false, error: `Failed to save ${isPdf ? "PDF" : "HTML"}: ${writeError.message}` });
     }
 
-    let parsed = null;
-    try {
-      parsed = parseHTMLRoster(html);
-    } catch (parseError) {
-      return res.status(400).json({ ok: false, error: `Failed to parse HTML: ${parseError.message}` });
-    }
-    const swimmers = Array.isArray(parsed) ? parsed : (parsed?.swimmers || []);
-    if (swimmers.length === 0) {
-      return res.status(400).json({ ok: false, error: "No swimmers found in HTML file" });
+    const result = applyRosterImport(location, prepared, {
+      mode,
+      sourceFile: filename || savedFilename,
+      createdBy: normalizeInitials(req.body.initials) || null
+    });
+    if (!result.ok) {
+      return res.status(400).json(result);
     }
+    result.format = prepared.format;
+    result.warnings = warnings;
+    result.validation = prepared.validation;
 
-    const today = todayISO();
-    const normalizedRows = swimmers.map((row) => ({
-      ...row,
-      date: row.date || detectedDate
-    }));
+    audit(req, "html_upload", {
+      location: location.name,
+      date_start: result.date_start,
+      date_end: result.date_end,
+      format: prepared.format,
+      mode,
+      count: result.count,
+      merged: result.merged,
+      backup_file: result.backup_file,
+      version_id: result.version_id
+    });
 
-    const dateList = Array.from(new Set(
-      normalizedRows.map((row) => row.date).filter(Boolean)
-    )).sort();
-    const dateStart = dateList[0] || detectedDate;
-    const dateEnd = dateList[dateList.length - 1] || dateStart;
+    res.json(result);
+  } catch (error) {
+    console.error("HTML upload error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
 
-    const rowsToInsert = normalizedRows.filter((row) => row.date >= today);
-    if (rowsToInsert.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "No roster entries found for today or later.",
-        date_start: dateStart,
-        date_end: dateEnd
-      });
-    }
-    const activeDate = dateList.includes(today) ? today : dateStart;
-    setActiveDate(activeDate);
+// ==================== SCHEDULE FOLDER WATCHER ====================
+// Polls each location's schedule folder (getScheduleDir) for new or changed roll sheets
+// (.html/.htm/.pdf) and imports them through applyRosterImport. Polling rather than fs.watch
+// because the folders are often network shares. A file is imported once its size and mtime
+// are unchanged between two scans (still being copied otherwise); files already in the
+// folder the first time it is scanned are only recorded. Merge mode by default so staff
+// attendance survives a sheet dropped mid-morning.
+const ROSTER_WATCH_SECONDS = Math.max(0, Number(process.env.ROSTER_WATCH_SECONDS ?? 60));
+const ROSTER_WATCH_MODE = String(process.env.ROSTER_WATCH_MODE || "merge").toLowerCase() === "replace" ? "replace" : "merge";
+const ROSTER_WATCH_EXTS = new Set([".html", ".htm", ".pdf"]);
+const rosterWatchState = { running: false, last_scan_at: null, last_error: null, pending: new Map() };
+
+function recordScheduleFile(locationId, fullPath, { status, mode = null, count = null, result = null, error = null, versionId = null, stat = null, hash = null } = {}) {
+  const st = stat || fs.statSync(fullPath);
+  const fileHash = hash || crypto.createHash("sha256").update(fs.readFileSync(fullPath)).digest("hex");
+  db.prepare(`
+    INSERT INTO roster_watch_files (location_id, filename, size, mtime_ms, sha, status, mode, count, result, error, version_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    locationId, path.basename(fullPath), st.size, Math.round(st.mtimeMs), fileHash, status, mode,
+    count, result ? JSON.stringify(result) : null, error, versionId, nowISO()
+  );
+}
 
-    // Auto-export existing roster before clearing (if any exists)
-    // Exports are stored on SERVER in subdirectories: exports/{LOCATION_CODE}/
-    // Example: exports/SLW/ for SwimLabs Westchester
-    //          exports/SSM/ for SafeSplash Santa Monica
-    const existingRoster = db.prepare(`
-      SELECT * FROM roster
-      WHERE date >= ? AND location_id = ? AND is_addon = 0
-    `).all(today, locId);
+function lastScheduleFile(locationId, filename) {
+  return db.prepare(`
+    SELECT * FROM roster_watch_files WHERE location_id = ? AND filename = ? ORDER BY id DESC LIMIT 1
+  `).get(locationId, filename);
+}
 
-    if (existingRoster.length > 0) {
-      // Create export directory for this location on server
-      const exportDir = path.join(EXPORT_DIR, location.code);
-      if (!fs.existsSync(exportDir)) fs.mkdirSync(exportDir, { recursive: true });
+function formatScheduleFile(row) {
+  if (!row) return null;
+  let result = null;
+  try {
+    result = row.result ? JSON.parse(row.result) : null;
+  } catch {
+    result = null;
+  }
+  return { ...row, result };
+}
 
-      // Generate timestamp for filename
-      // Format: roster_{LOCATION_CODE}_{DATE}_{TIMESTAMP}.json
-      // Example: roster_SLW_2026-01-24_2026-01-24T15-30-45-123Z.json
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const exportFilename = `roster_${location.code}_${today}_${timestamp}.json`;
-      const exportPath = path.join(exportDir, exportFilename);
+async function importScheduleFile(location, fullPath, stat, hash) {
+  const filename = path.basename(fullPath);
+  let status = "imported";
+  let outcome = null;
+  let error = null;
+  try {
+    const prepared = await prepareRosterUpload(fs.readFileSync(fullPath), filename);
+    const warnings = [];
+    if (prepared.detectedLocation && prepared.detectedLocation.id !== location.id) {
+      warnings.push(`Roll sheet names ${prepared.detectedLocation.name}; imported into ${location.name} because of its folder`);
+    }
+    const pastRows = prepared.swimmers.length - prepared.importRows.length;
+    if (pastRows > 0) warnings.push(`${pastRows} rows before today were not imported`);
+    for (const issue of prepared.validation.issues) {
+      if (issue.severity === "error") warnings.push(issue.message);
+    }
+    if (!prepared.swimmers.length) {
+      status = "skipped";
+      error = "No swimmers found in roll sheet";
+    } else {
+      outcome = applyRosterImport(location, prepared, {
+        mode: ROSTER_WATCH_MODE,
+        action: "watch_import",
+        sourceFile: filename
+      });
+      if (!outcome.ok) {
+        status = "skipped";
+        error = outcome.error;
+      } else if (outcome.merged?.removed_kept) {
+        warnings.push(`${outcome.merged.removed_kept} swimmers no longer listed were kept because attendance was taken`);
+      }
+    }
+    outcome = { ...(outcome || {}), warnings, validation: prepared.validation.counts };
+  } catch (e) {
+    status = "error";
+    error = e?.message || String(e);
+  }
 
-      // Save existing roster to JSON on server
-      fs.writeFileSync(exportPath, JSON.stringify({
-        location: location.name,
-        location_code: location.code,
-        date: today,
-        date_start: dateStart,
-        date_end: dateEnd,
-        exported_at: nowISO(),
-        count: existingRoster.length,
-        roster: existingRoster
-      }, null, 2), 'utf-8');
+  const result = outcome ? {
+    date_start: outcome.date_start || null,
+    date_end: outcome.date_end || null,
+    merged: outcome.merged || null,
+    backup_file: outcome.backup_file || null,
+    warnings: outcome.warnings || [],
+    validation: outcome.validation || null
+  } : null;
+  recordScheduleFile(location.id, fullPath, {
+    status,
+    mode: ROSTER_WATCH_MODE,
+    count: outcome?.count ?? null,
+    result,
+    error,
+    versionId: outcome?.version_id ?? null,
+    stat,
+    hash
+  });
+  logActivity("roster_watch_import", {
+    location_id: location.id,
+    details: { filename, status, mode: ROSTER_WATCH_MODE, count: outcome?.count ?? null, ...(result || {}), error }
+  });
+  console.log(`[WATCH] ${location.code}: ${filename} ${status}${error ? ` (${error})` : ""}${outcome?.count ? ` — ${outcome.count} rows` : ""}`);
+}
 
-      console.log(`[AUTO-EXPORT] Saved ${existingRoster.length} swimmers to server: ${location.code}/${exportFilename}`);
+async function scanScheduleFolder(location) {
+  const dir = getScheduleDir(location);
+  if (!fs.existsSync(dir)) return;
+  const baselineKey = `rosterWatchBaseline:${location.id}`;
+  const firstScan = !db.prepare(`SELECT 1 FROM app_state WHERE key = ?`).get(baselineKey);
+  const files = fs.readdirSync(dir)
+    .filter((f) => ROSTER_WATCH_EXTS.has(path.extname(f).toLowerCase()) && !f.startsWith("."))
+    .sort();
+
+  for (const filename of files) {
+    const fullPath = path.join(dir, filename);
+    let stat = null;
+    try {
+      stat = fs.statSync(fullPath);
+    } catch {
+      continue;
     }
+    if (!stat.isFile()) continue;
+    const mtimeMs = Math.round(stat.mtimeMs);
+    const last = lastScheduleFile(location.id, filename);
+    if (last && last.size === stat.size && last.mtime_ms === mtimeMs) continue;
 
-    // Delete existing roster from today forward for this location
-    db.prepare(`DELETE FROM roster WHERE date >= ? AND location_id = ? AND is_addon = 0`).run(today, locId);
-
-    const now = nowISO();
-    const ins = db.prepare(`
-      INSERT INTO roster (
-        date, start_time, swimmer_name,
-        instructor_name, substitute_instructor, is_substitute, original_instructor, zone, program, age_text,
-        attendance, attendance_at, attendance_auto_absent,
-        is_addon,
-        flag_new, flag_makeup, flag_policy, flag_owes, flag_trial,
-        balance_amount,
-        location_id,
-        created_at, updated_at
-      ) VALUES (
-        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?
-      )
-      ON CONFLICT(location_id, date, start_time, swimmer_name) DO UPDATE SET
-        instructor_name=excluded.instructor_name,
-        substitute_instructor=excluded.substitute_instructor,
-        is_substitute=excluded.is_substitute,
-        original_instructor=excluded.original_instructor,
-        zone=excluded.zone,
-        program=excluded.program,
-        age_text=excluded.age_text,
-        attendance=excluded.attendance,
-        attendance_at=excluded.attendance_at,
-        attendance_auto_absent=excluded.attendance_auto_absent,
-        is_addon=excluded.is_addon,
-        flag_new=excluded.flag_new,
-        flag_makeup=excluded.flag_makeup,
-        flag_policy=excluded.flag_policy,
-        flag_owes=excluded.flag_owes,
-        flag_trial=excluded.flag_trial,
-        balance_amount=excluded.balance_amount,
-        location_id=excluded.location_id,
-        updated_at=excluded.updated_at
-    `);
+    if (firstScan) {
+      recordScheduleFile(location.id, fullPath, { status: "baseline", stat });
+      continue;
+    }
 
-    const tx = db.transaction((rows) => {
-      for (const r of rows) {
-        ins.run(
-          r.date, r.start_time, r.swimmer_name,
-          r.instructor_name || null,
-          r.substitute_instructor || null,
-          r.is_substitute || 0,
-          r.original_instructor || null,
-          r.zone || null,
-          r.program || null,
-          r.age_text || null,
-          r.attendance !== undefined ? r.attendance : null,
-          r.attendance_auto_absent ? 1 : 0,
-          r.flag_new || 0, r.flag_makeup || 0, r.flag_policy || 0, r.flag_owes || 0, r.flag_trial || 0,
-          r.balance_amount !== undefined ? r.balance_amount : null,
-          locId,
-          now, now
-        );
+    // Wait for one unchanged scan so a file still being copied is not read half-written.
+    const pendingKey = `${location.id}|${filename}`;
+    const pending = rosterWatchState.pending.get(pendingKey);
+    if (!pending || pending.size !== stat.size || pending.mtime_ms !== mtimeMs) {
+      rosterWatchState.pending.set(pendingKey, { size: stat.size, mtime_ms: mtimeMs });
+      continue;
+    }
+    rosterWatchState.pending.delete(pendingKey);
+
+    const hash = crypto.createHash("sha256").update(fs.readFileSync(fullPath)).digest("hex");
+    if (last && last.sha === hash) {
+      // Touched but not changed (copied over with the same content).
+      db.prepare(`UPDATE roster_watch_files SET size = ?, mtime_ms = ? WHERE id = ?`).run(stat.size, mtimeMs, last.id);
+      continue;
+    }
+    await importScheduleFile(location, fullPath, stat, hash);
+  }
+  if (firstScan) {
+    db.prepare(`INSERT INTO app_state(key, value) VALUES(?, ?) ON CONFLICT(key) DO NOTHING`).run(baselineKey, nowISO());
+  }
+}
+
+async function runRosterWatchScan(locationId = null) {
+  if (rosterWatchState.running) return;
+  rosterWatchState.running = true;
+  try {
+    const locations = locationId
+      ? [getLocationById(locationId)].filter(Boolean)
+      : db.prepare(`SELECT * FROM locations WHERE active = 1 ORDER BY id`).all();
+    for (const location of locations) {
+      try {
+        await scanScheduleFolder(location);
+      } catch (e) {
+        console.error(`[WATCH] ${location.code}: scan failed:`, e?.message || e);
+        rosterWatchState.last_error = { location_id: location.id, error: e?.message || String(e), at: nowISO() };
       }
-    });
+    }
+    rosterWatchState.last_scan_at = nowISO();
+  } finally {
+    rosterWatchState.running = false;
+  }
+}
 
-    tx(rowsToInsert);
+function startRosterWatcher() {
+  if (!ROSTER_WATCH_SECONDS) return;
+  console.log(`[WATCH] Watching schedule folders every ${ROSTER_WATCH_SECONDS}s (${ROSTER_WATCH_MODE} mode)`);
+  runRosterWatchScan().catch((e) => console.error("[WATCH] Scan error:", e?.stack || e?.message || e));
+  setInterval(() => {
+    runRosterWatchScan().catch((e) => console.error("[WATCH] Scan error:", e?.stack || e?.message || e));
+  }, ROSTER_WATCH_SECONDS * 1000);
+}
 
-    audit(req, "html_upload", { 
-      location: location.name,
-      date_start: dateStart,
-      date_end: dateEnd,
-      count: rowsToInsert.length
+app.get("/api/roster-watch/status", (req, res) => {
+  try {
+    const locId = req.query.location_id ? parseLocationId(req.query.location_id) : null;
+    if (req.query.location_id && !locId) {
+      return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
+    }
+    const locations = locId
+      ? [getLocationById(locId)]
+      : db.prepare(`SELECT * FROM locations WHERE active = 1 ORDER BY id`).all();
+    const recentStmt = db.prepare(`
+      SELECT * FROM roster_watch_files
+      WHERE location_id = ? AND status NOT IN ('baseline', 'uploaded')
+      ORDER BY id DESC LIMIT ?
+    `);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+    res.json({
+      ok: true,
+      enabled: ROSTER_WATCH_SECONDS > 0,
+      interval_seconds: ROSTER_WATCH_SECONDS,
+      mode: ROSTER_WATCH_MODE,
+      running: rosterWatchState.running,
+      last_scan_at: rosterWatchState.last_scan_at,
+      last_error: rosterWatchState.last_error,
+      locations: locations.map((location) => {
+        const recent = recentStmt.all(location.id, limit).map(formatScheduleFile);
+        return {
+          location_id: location.id,
+          location: location.name,
+          dir: getScheduleDir(location),
+          pending: Array.from(rosterWatchState.pending.keys())
+            .filter((key) => key.startsWith(`${location.id}|`))
+            .map((key) => key.slice(key.indexOf("|") + 1)),
+          last_import: recent.find((r) => r.status === "imported") || null,
+          recent
+        };
+      })
     });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
 
-    res.json({ ok: true, count: rowsToInsert.length, date_start: dateStart, date_end: dateEnd, location: location.name });
+// Scans now instead of waiting for the next tick (e.g. right after dropping a file in).
+app.post("/api/roster-watch/scan", async (req, res) => {
+  try {
+    const locId = req.body?.location_id ? parseLocationId(req.body.location_id) : null;
+    if (req.body?.location_id && !locId) {
+      return res.status(400).json({ ok: false, error: "missing or unknown location_id" });
+    }
+    if (rosterWatchState.running) return res.json({ ok: true, already_running: true });
+    await runRosterWatchScan(locId);
+    res.json({ ok: true, last_scan_at: rosterWatchState.last_scan_at });
   } catch (error) {
-    console.error("HTML upload error:", error);
     res.status(500).json({ ok: false, error: error.message });
   }
 });
@@ -3543,12 +7689,84 @@ function inferLocationTimeZone(location) {
   return null;
 }
 
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Stored time_zone wins; otherwise infer from code/name. Null means "server local".
+function getLocationTimeZone(location) {
+  if (!location) return null;
+  const explicit = location.time_zone || location.timeZone;
+  if (explicit && isValidTimeZone(explicit)) return explicit;
+  return inferLocationTimeZone(location);
+}
+
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const dtf = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false
+  });
+  const parts = Object.fromEntries(dtf.formatToParts(date).map((p) => [p.type, p.value]));
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour) % 24,
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return Math.round((asUTC - date.getTime()) / 60000);
+}
+
+function todayISOInTimeZone(timeZone) {
+  if (!timeZone) return todayISO();
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(new Date());
+}
+
+function addDaysISO(dateISO, days) {
+  const d = new Date(`${dateISO}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Wall-clock date + HH:MM at a location -> epoch ms.
+function parseZonedDateTimeMs(dateISO, timeHHMM, timeZone) {
+  if (!timeZone) return parseLocalDateTimeMs(dateISO, timeHHMM);
+  if (!dateISO || !timeHHMM) return null;
+  const [y, m, d] = String(dateISO).split("-").map(Number);
+  const [hh, mm] = String(timeHHMM).split(":").map(Number);
+  if (!y || !m || !d || !Number.isFinite(hh)) return null;
+  const utcGuess = Date.UTC(y, m - 1, d, hh, mm || 0, 0, 0);
+  let ms = utcGuess - getTimeZoneOffsetMinutes(new Date(utcGuess), timeZone) * 60000;
+  // Second pass corrects the guess when a DST change falls between the two instants.
+  ms = utcGuess - getTimeZoneOffsetMinutes(new Date(ms), timeZone) * 60000;
+  return Number.isFinite(ms) ? ms : null;
+}
+
 app.get("/api/locations", (req, res) => {
   try {
     const locations = db.prepare(`SELECT * FROM locations WHERE active = 1 ORDER BY id`).all();
     const enriched = (locations || []).map((loc) => ({
       ...loc,
-      time_zone: loc.time_zone || loc.timeZone || inferLocationTimeZone(loc) || null
+      time_zone: getLocationTimeZone(loc) || null
     }));
     res.json({ ok: true, locations: enriched });
   } catch (error) {
@@ -4284,9 +8502,15 @@ app.post("/api/clear-roster", (req, res) => {
     }
 
     // Delete all roster data for this location and date
-    const result = db.prepare(`
+    const { result, version_id } = db.transaction(() => trackRosterChange({
+      locationId: location.id,
+      action: "clear_roster",
+      dateStart: date,
+      dateEnd: date,
+      createdBy: initialsClean
+    }, () => db.prepare(`
       DELETE FROM roster WHERE date = ? AND location_id = ?
-    `).run(date, locId);
+    `).run(date, locId)))();
 
     audit(req, "admin_clear_roster", {
       location: location.name,
@@ -4294,9 +8518,10 @@ app.post("/api/clear-roster", (req, res) => {
       date: date,
       deleted_count: result.changes,
       backup_file: backupFile,
-      initials: initialsClean
+      initials: initialsClean,
+      version_id
     });
-    logActivity("clear_roster", { location_id: locId, initials: initialsClean, details: { date, backup_file: backupFile } });
+    logActivity("clear_roster", { location_id: locId, initials: initialsClean, details: { date, backup_file: backupFile, version_id } });
 
     console.log(`[ADMIN CLEAR] Deleted ${result.changes} swimmers for ${location.name} (${date})`);
 
@@ -4304,6 +8529,7 @@ app.post("/api/clear-roster", (req, res) => {
       ok: true,
       deleted_count: result.changes,
       backup_file: backupFile,
+      version_id,
       location: location.name,
       date: date
     });
@@ -4357,9 +8583,14 @@ app.post("/api/clear-roster-future", (req, res) => {
       console.log(`[ADMIN CLEAR FUTURE] Backed up ${existingRoster.length} swimmers to: ${backupFile}`);
     }
 
-    const result = db.prepare(`
+    const { result, version_id } = db.transaction(() => trackRosterChange({
+      locationId: location.id,
+      action: "clear_roster_future",
+      dateStart: today,
+      createdBy: initialsClean
+    }, () => db.prepare(`
       DELETE FROM roster WHERE date >= ? AND location_id = ?
-    `).run(today, locId);
+    `).run(today, locId)))();
 
     audit(req, "admin_clear_roster_future", {
       location: location.name,
@@ -4367,9 +8598,10 @@ app.post("/api/clear-roster-future", (req, res) => {
       date_start: today,
       deleted_count: result.changes,
       backup_file: backupFile,
-      initials: initialsClean
+      initials: initialsClean,
+      version_id
     });
-    logActivity("clear_roster_future", { location_id: locId, initials: initialsClean, details: { date_start: today, backup_file: backupFile } });
+    logActivity("clear_roster_future", { location_id: locId, initials: initialsClean, details: { date_start: today, backup_file: backupFile, version_id } });
 
     console.log(`[ADMIN CLEAR FUTURE] Deleted ${result.changes} swimmers for ${location.name} (from ${today})`);
 
@@ -4377,6 +8609,7 @@ app.post("/api/clear-roster-future", (req, res) => {
       ok: true,
       deleted_count: result.changes,
       backup_file: backupFile,
+      version_id,
       location: location.name,
       date_start: today
     });
@@ -4433,12 +8666,27 @@ app.post("/api/clear-roster-all", (req, res) => {
       console.log(`[ADMIN CLEAR ALL] Backed up ${existingRoster.length} swimmers to: ${backupFile}`);
     }
 
-    const deleteSql = hasRange
-      ? `DELETE FROM roster WHERE date BETWEEN ? AND ?`
-      : `DELETE FROM roster`;
-    const result = hasRange
-      ? db.prepare(deleteSql).run(startDate, endDate)
-      : db.prepare(deleteSql).run();
+    // One version per location so each can be rolled back on its own.
+    const result = { changes: 0 };
+    const clearedLocations = db.prepare(`
+      SELECT location_id, MIN(date) AS first_date FROM roster
+      ${hasRange ? "WHERE date BETWEEN ? AND ?" : ""}
+      GROUP BY location_id
+    `).all(...(hasRange ? [startDate, endDate] : []));
+    db.transaction(() => {
+      for (const { location_id: clearLocId, first_date } of clearedLocations) {
+        const { result: deleted } = trackRosterChange({
+          locationId: clearLocId,
+          action: "clear_roster_all",
+          dateStart: hasRange ? startDate : first_date,
+          dateEnd: hasRange ? endDate : null,
+          createdBy: initialsClean
+        }, () => (hasRange
+          ? db.prepare(`DELETE FROM roster WHERE location_id = ? AND date BETWEEN ? AND ?`).run(clearLocId, startDate, endDate)
+          : db.prepare(`DELETE FROM roster WHERE location_id = ?`).run(clearLocId)));
+        result.changes += deleted.changes;
+      }
+    })();
 
     audit(req, "admin_clear_roster_all", {
       date: date,
@@ -4725,11 +8973,14 @@ app.get("/api/virtual-desk/swimmers", (req, res) => {
 
 app.post("/api/add-location", (req, res) => {
   try {
-    const { code, name, has_announcements, brand } = req.body;
+    const { code, name, has_announcements, brand, time_zone } = req.body;
 
     if (!code || !name) {
       return res.status(400).json({ ok: false, error: 'code and name required' });
     }
+    if (time_zone && !isValidTimeZone(time_zone)) {
+      return res.status(400).json({ ok: false, error: 'invalid time_zone' });
+    }
 
     // Create directories
     const schedDir = path.join(SCHEDULE_DIR, sanitizeDirSegment(name));
@@ -4738,10 +8989,10 @@ app.post("/api/add-location", (req, res) => {
     if (!fs.existsSync(expDir)) fs.mkdirSync(expDir, { recursive: true });
     
     const insert = db.prepare(`
-      INSERT INTO locations (code, name, has_announcements, brand)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO locations (code, name, has_announcements, brand, time_zone)
+      VALUES (?, ?, ?, ?, ?)
     `);
-    const result = insert.run(code, name, has_announcements ? 1 : 0, brand || 'swimlabs');
+    const result = insert.run(code, name, has_announcements ? 1 : 0, brand || 'swimlabs', time_zone || null);
     
     audit(req, "add_location", { code, name });
     res.json({ ok: true, location_id: result.lastInsertRowid });
@@ -5362,6 +9613,425 @@ app.get("/api/reports/instructors/export", (req, res) => {
   }
 });
 
+// ==================== SCHEDULED ANNOUNCEMENTS ====================
+// Recurring rules ("every Saturday 8:55", "10 minutes before closing") and one-off
+// timed messages. They are fired by the server auto announcer tick (see below).
+const SCHEDULE_TYPES = new Set(["recurring", "once"]);
+const SCHEDULE_ANCHORS = new Set(["time", "first_block", "last_block"]);
+
+function parseDaysOfWeek(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const days = Array.from(new Set(list.map((d) => parseInt(d, 10)))).filter((d) => d >= 0 && d <= 6).sort();
+  return days.length ? days : null;
+}
+
+function formatScheduledAnnouncement(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    days_of_week: parseDaysOfWeek(row.days_of_week),
+    zones: normalizeZoneList(row.zones)
+  };
+}
+
+function getScheduledAnnouncement(id) {
+  return formatScheduledAnnouncement(db.prepare(`SELECT * FROM scheduled_announcements WHERE id = ?`).get(id));
+}
+
+function listScheduledAnnouncements(locationId, { enabledOnly = false } = {}) {
+  return db.prepare(`
+    SELECT * FROM scheduled_announcements
+    WHERE location_id = ? AND (? = 0 OR enabled = 1)
+    ORDER BY schedule_type, time_of_day, run_at, id
+  `).all(Number(locationId), enabledOnly ? 1 : 0).map(formatScheduledAnnouncement);
+}
+
+// Validates a create/update payload (merged over `existing` for updates).
+function normalizeScheduledAnnouncementInput(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const locId = Number(input.location_id || 0);
+  if (!locId || !getLocationById(locId)) return { ok: false, error: "Invalid location" };
+
+  const text = String(input.text || "").trim();
+  const templateKey = String(input.template_key || "").trim() || null;
+  if (!text && !templateKey) return { ok: false, error: "text or template_key required" };
+  if (templateKey && !getAnnouncementTemplate(templateKey)) return { ok: false, error: "Unknown template_key" };
+
+  const scheduleType = String(input.schedule_type || "recurring").toLowerCase();
+  if (!SCHEDULE_TYPES.has(scheduleType)) return { ok: false, error: "schedule_type must be recurring or once" };
+
+  const value = {
+    location_id: locId,
+    name: String(input.name || text || templateKey).trim().slice(0, 120),
+    text: text || null,
+    template_key: templateKey,
+    schedule_type: scheduleType,
+    days_of_week: null,
+    time_of_day: null,
+    anchor: "time",
+    offset_minutes: 0,
+    run_at: null,
+    zones: normalizeZoneList(input.zones),
+    enabled: input.enabled === false || input.enabled === 0 || input.enabled === "0" ? 0 : 1
+  };
+
+  if (scheduleType === "once") {
+    const runAt = String(input.run_at || "").trim();
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(runAt)) {
+      return { ok: false, error: "run_at must be YYYY-MM-DDTHH:MM (location local time)" };
+    }
+    value.run_at = runAt;
+    return { ok: true, value };
+  }
+
+  const anchor = String(input.anchor || "time").toLowerCase();
+  if (!SCHEDULE_ANCHORS.has(anchor)) return { ok: false, error: "anchor must be time, first_block or last_block" };
+  const offset = Number(input.offset_minutes || 0);
+  if (!Number.isInteger(offset) || Math.abs(offset) > 24 * 60) return { ok: false, error: "Invalid offset_minutes" };
+  value.anchor = anchor;
+  value.offset_minutes = offset;
+  value.days_of_week = parseDaysOfWeek(input.days_of_week);
+
+  if (anchor === "time") {
+    const timeOfDay = String(input.time_of_day || "").trim();
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay)) return { ok: false, error: "time_of_day must be HH:MM" };
+    value.time_of_day = timeOfDay;
+  }
+  return { ok: true, value };
+}
+
+function saveScheduledAnnouncement(value, id = null) {
+  const now = nowISO();
+  const params = [
+    value.location_id,
+    value.name,
+    value.text,
+    value.template_key,
+    value.schedule_type,
+    value.days_of_week ? value.days_of_week.join(",") : null,
+    value.time_of_day,
+    value.anchor,
+    value.offset_minutes,
+    value.run_at,
+    value.zones ? JSON.stringify(value.zones) : null,
+    value.enabled
+  ];
+  if (id) {
+    db.prepare(`
+      UPDATE scheduled_announcements
+      SET location_id = ?, name = ?, text = ?, template_key = ?, schedule_type = ?,
+          days_of_week = ?, time_of_day = ?, anchor = ?, offset_minutes = ?, run_at = ?,
+          zones = ?, enabled = ?, updated_at = ?
+      WHERE id = ?
+    `).run(...params, now, id);
+    return getScheduledAnnouncement(id);
+  }
+  const result = db.prepare(`
+    INSERT INTO scheduled_announcements (
+      location_id, name, text, template_key, schedule_type,
+      days_of_week, time_of_day, anchor, offset_minutes, run_at,
+      zones, enabled, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(...params, now, now);
+  return getScheduledAnnouncement(result.lastInsertRowid);
+}
+
+app.get("/api/scheduled-announcements", (req, res) => {
+  try {
+    const locId = Number(req.query?.location_id || 0);
+    if (!locId) return res.status(400).json({ ok: false, error: "location_id required" });
+    res.json({ ok: true, schedules: listScheduledAnnouncements(locId) });
+  } catch (error) {
+    console.error("Scheduled announcements list error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.post("/api/scheduled-announcements", (req, res) => {
+  try {
+    const check = normalizeScheduledAnnouncementInput(req.body);
+    if (!check.ok) return res.status(400).json({ ok: false, error: check.error });
+    const schedule = saveScheduledAnnouncement(check.value);
+    audit(req, "scheduled_announcement_create", { details: { id: schedule.id, location_id: schedule.location_id, name: schedule.name } });
+    res.json({ ok: true, schedule });
+  } catch (error) {
+    console.error("Scheduled announcement create error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.put("/api/scheduled-announcements/:id", (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    const existing = id ? getScheduledAnnouncement(id) : null;
+    if (!existing) return res.status(404).json({ ok: false, error: "Scheduled announcement not found" });
+    const check = normalizeScheduledAnnouncementInput(req.body, existing);
+    if (!check.ok) return res.status(400).json({ ok: false, error: check.error });
+    const schedule = saveScheduledAnnouncement(check.value, id);
+    audit(req, "scheduled_announcement_update", { details: { id, location_id: schedule.location_id, enabled: schedule.enabled } });
+    res.json({ ok: true, schedule });
+  } catch (error) {
+    console.error("Scheduled announcement update error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete("/api/scheduled-announcements/:id", (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    const result = db.prepare(`DELETE FROM scheduled_announcements WHERE id = ?`).run(id);
+    if (!result.changes) return res.status(404).json({ ok: false, error: "Scheduled announcement not found" });
+    audit(req, "scheduled_announcement_delete", { details: { id } });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Scheduled announcement delete error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// ==================== QUIET HOURS ====================
+// Windows that silence (mode "suppress") or downgrade (mode "downgrade": automatic
+// announcements skipped, staff announcements low priority without the chime)
+// everything but emergencies. Checked by speakAnnouncement for every request.
+const QUIET_KINDS = new Set(["recurring", "once", "mute"]);
+const QUIET_MODES = new Set(["suppress", "downgrade"]);
+const AUTOMATIC_ANNOUNCEMENT_SOURCES = new Set(["auto", "scheduled"]);
+const MAX_MUTE_MINUTES = 240;
+
+function formatQuietWindow(row) {
+  if (!row) return null;
+  return { ...row, days_of_week: parseDaysOfWeek(row.days_of_week) };
+}
+
+function getQuietWindow(id) {
+  return formatQuietWindow(db.prepare(`SELECT * FROM quiet_windows WHERE id = ?`).get(Number(id)));
+}
+
+function listQuietWindows(locationId) {
+  return db.prepare(`
+    SELECT * FROM quiet_windows
+    WHERE location_id = ?
+      AND (kind = 'recurring' OR ends_at > ?)
+    ORDER BY kind, start_time, starts_at, id
+  `).all(Number(locationId), nowISO()).map(formatQuietWindow);
+}
+
+function isQuietWindowActive(w, location, nowMs) {
+  if (!w.enabled) return false;
+  if (w.kind !== "recurring") {
+    return Date.parse(w.starts_at) <= nowMs && nowMs < Date.parse(w.ends_at);
+  }
+  return isDailyWindowActive(w, location);
+}
+
+// { days_of_week, start_time, end_time } in the location's local time; may wrap midnight.
+function isDailyWindowActive(w, location) {
+  const timeZone = getLocationTimeZone(location);
+  const today = todayISOInTimeZone(timeZone);
+  const hhmm = nowHHMMInTimeZone(timeZone);
+  const onDay = (dateISO) => !w.days_of_week || w.days_of_week.includes(getWeekdayForISODate(dateISO));
+  if (w.start_time <= w.end_time) {
+    return onDay(today) && w.start_time <= hhmm && hhmm < w.end_time;
+  }
+  // Wraps midnight: the evening part belongs to today, the early-morning part to yesterday's window.
+  if (hhmm >= w.start_time) return onDay(today);
+  return hhmm < w.end_time && onDay(addDaysISO(today, -1));
+}
+
+// Returns the active window for a location ("suppress" wins over "downgrade"), or null.
+function getActiveQuietWindow(locationId, nowMs = Date.now()) {
+  const location = getLocationById(Number(locationId || 1));
+  if (!location) return null;
+  const active = listQuietWindows(location.id).filter((w) => isQuietWindowActive(w, location, nowMs));
+  return active.find((w) => w.mode === "suppress") || active[0] || null;
+}
+
+// Local "YYYY-MM-DDTHH:MM" is read in the location's time zone; anything with a zone/offset as given.
+function parseQuietInstant(value, location) {
+  const raw = String(value || "").trim();
+  const local = raw.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/);
+  const ms = local ? parseZonedDateTimeMs(local[1], local[2], getLocationTimeZone(location)) : Date.parse(raw);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function normalizeQuietWindowInput(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const location = getLocationById(Number(input.location_id || 0));
+  if (!location) return { ok: false, error: "Invalid location" };
+
+  const kind = String(input.kind || "recurring").toLowerCase();
+  if (!QUIET_KINDS.has(kind)) return { ok: false, error: "kind must be recurring, once or mute" };
+  const mode = String(input.mode || "suppress").toLowerCase();
+  if (!QUIET_MODES.has(mode)) return { ok: false, error: "mode must be suppress or downgrade" };
+
+  const value = {
+    location_id: location.id,
+    name: String(input.name || (kind === "recurring" ? "Quiet hours" : "Quiet window")).trim().slice(0, 120),
+    kind,
+    mode,
+    days_of_week: null,
+    start_time: null,
+    end_time: null,
+    starts_at: null,
+    ends_at: null,
+    enabled: input.enabled === false || input.enabled === 0 || input.enabled === "0" ? 0 : 1,
+    created_by: input.created_by || null
+  };
+
+  if (kind === "recurring") {
+    const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!hhmm.test(String(input.start_time || "")) || !hhmm.test(String(input.end_time || ""))) {
+      return { ok: false, error: "start_time and end_time must be HH:MM" };
+    }
+    if (input.start_time === input.end_time) return { ok: false, error: "start_time and end_time must differ" };
+    value.days_of_week = parseDaysOfWeek(input.days_of_week);
+    value.start_time = input.start_time;
+    value.end_time = input.end_time;
+    return { ok: true, value };
+  }
+
+  value.starts_at = parseQuietInstant(input.starts_at, location);
+  value.ends_at = parseQuietInstant(input.ends_at, location);
+  if (!value.starts_at || !value.ends_at) return { ok: false, error: "starts_at and ends_at are required" };
+  if (value.ends_at <= value.starts_at) return { ok: false, error: "ends_at must be after starts_at" };
+  return { ok: true, value };
+}
+
+function saveQuietWindow(value, id = null) {
+  const now = nowISO();
+  const params = [
+    value.location_id, value.name, value.kind, value.mode,
+    value.days_of_week ? value.days_of_week.join(",") : null,
+    value.start_time, value.end_time, value.starts_at, value.ends_at,
+    value.enabled
+  ];
+  if (id) {
+    db.prepare(`
+      UPDATE quiet_windows
+      SET location_id = ?, name = ?, kind = ?, mode = ?, days_of_week = ?,
+          start_time = ?, end_time = ?, starts_at = ?, ends_at = ?, enabled = ?, updated_at = ?
+      WHERE id = ?
+    `).run(...params, now, id);
+    return getQuietWindow(id);
+  }
+  const result = db.prepare(`
+    INSERT INTO quiet_windows (
+      location_id, name, kind, mode, days_of_week,
+      start_time, end_time, starts_at, ends_at, enabled,
+      created_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(...params, value.created_by, now, now);
+  return getQuietWindow(result.lastInsertRowid);
+}
+
+app.get("/api/quiet-hours", (req, res) => {
+  try {
+    const locId = Number(req.query?.location_id || 0);
+    if (!locId) return res.status(400).json({ ok: false, error: "location_id required" });
+    res.json({ ok: true, windows: listQuietWindows(locId), active: getActiveQuietWindow(locId) });
+  } catch (error) {
+    console.error("Quiet hours list error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.post("/api/quiet-hours", (req, res) => {
+  try {
+    const check = normalizeQuietWindowInput(req.body);
+    if (!check.ok) return res.status(400).json({ ok: false, error: check.error });
+    const window = saveQuietWindow(check.value);
+    audit(req, "quiet_hours_create", { details: { id: window.id, location_id: window.location_id, kind: window.kind, mode: window.mode } });
+    res.json({ ok: true, window });
+  } catch (error) {
+    console.error("Quiet hours create error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.put("/api/quiet-hours/:id", (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    const existing = id ? getQuietWindow(id) : null;
+    if (!existing) return res.status(404).json({ ok: false, error: "Quiet window not found" });
+    const check = normalizeQuietWindowInput(req.body, existing);
+    if (!check.ok) return res.status(400).json({ ok: false, error: check.error });
+    const window = saveQuietWindow(check.value, id);
+    audit(req, "quiet_hours_update", { details: { id, location_id: window.location_id, enabled: window.enabled } });
+    res.json({ ok: true, window });
+  } catch (error) {
+    console.error("Quiet hours update error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+app.delete("/api/quiet-hours/:id", (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    const result = db.prepare(`DELETE FROM quiet_windows WHERE id = ?`).run(id);
+    if (!result.changes) return res.status(404).json({ ok: false, error: "Quiet window not found" });
+    audit(req, "quiet_hours_delete", { details: { id } });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Quiet hours delete error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Deck staff: silence non-emergency announcements for N minutes from now
+app.post("/api/announcements/mute", (req, res) => {
+  try {
+    const { location_id, minutes, initials, device_mode } = req.body || {};
+    const locId = Number(location_id || 0);
+    if (!locId || !getLocationById(locId)) return res.status(400).json({ ok: false, error: "Invalid location" });
+    const mins = Number(minutes || 0);
+    if (!Number.isInteger(mins) || mins < 1 || mins > MAX_MUTE_MINUTES) {
+      return res.status(400).json({ ok: false, error: `minutes must be between 1 and ${MAX_MUTE_MINUTES}` });
+    }
+    const initialsClean = normalizeInitials(initials);
+    const startsAt = new Date();
+    const window = saveQuietWindow({
+      location_id: locId,
+      name: `Muted ${mins} min${initialsClean ? ` by ${initialsClean}` : ""}`,
+      kind: "mute",
+      mode: "suppress",
+      days_of_week: null,
+      start_time: null,
+      end_time: null,
+      starts_at: startsAt.toISOString(),
+      ends_at: new Date(startsAt.getTime() + mins * 60 * 1000).toISOString(),
+      enabled: 1,
+      created_by: initialsClean || device_mode || null
+    });
+
+    audit(req, "announcements_mute", { device_mode, details: { location_id: locId, minutes: mins, window_id: window.id, initials: initialsClean } });
+    logActivity("announcements_mute", { location_id: locId, initials: initialsClean || null, details: { minutes: mins } });
+    res.json({ ok: true, window });
+  } catch (error) {
+    console.error("Mute error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Ends any running mute early (scheduled quiet hours are left alone)
+app.delete("/api/announcements/mute", (req, res) => {
+  try {
+    const locId = Number(req.query?.location_id || req.body?.location_id || 0);
+    if (!locId) return res.status(400).json({ ok: false, error: "location_id required" });
+    const now = nowISO();
+    const result = db.prepare(`
+      UPDATE quiet_windows SET ends_at = ?, updated_at = ?
+      WHERE location_id = ? AND kind = 'mute' AND ends_at > ?
+    `).run(now, now, locId, now);
+
+    audit(req, "announcements_unmute", { device_mode: req.body?.device_mode, details: { location_id: locId, ended: result.changes } });
+    res.json({ ok: true, ended: result.changes });
+  } catch (error) {
+    console.error("Unmute error:", error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 function scheduleGuardTaskSnapshots() {
   const now = new Date();
   const nextMidnight = new Date(now);
@@ -5395,19 +10065,29 @@ app.listen(PORT, '0.0.0.0', () => {
 
 /**
  * ---------------------------------------------------------------------------
- * SERVER-SIDE AUTO ANNOUNCER (3 minutes before each class)
+ * SERVER-SIDE AUTO ANNOUNCER (one announcement per template stage per class)
  *
  * This runs independently of the browser UI. It looks at the roster in SQLite
- * (populated by /api/upload-html) and triggers one announcement per start_time.
+ * (populated by /api/upload-html) and triggers one announcement per stage per
+ * start_time for every active location with has_announcements = 1.
  *
  * Notes:
- * - Uses the AUTO_TIME_BLOCK announcement template (customizable in DB).
- * - Dedupe is enforced via speakAnnouncement(dedupeKey + cooldown_seconds).
- * - Uses the server's local timezone when interpreting date+start_time.
+ * - Stages are the enabled announcement templates with offset_minutes set
+ *   (e.g. AUTO_GET_READY -5, AUTO_TIME_BLOCK -3, AUTO_CLASS_START 0,
+ *   AUTO_BLOCK_ENDING +25), all customizable in the DB.
+ * - AUTO_CLASS_START (offset 0) now fires from here as well as from the
+ *   browser's /api/force-class-start trigger; both use the same
+ *   "<template>|<date>|<start_time>" dedupe key, so a class is announced once.
+ * - Dedupe is enforced via speakAnnouncement(dedupeKey + cooldown_seconds),
+ *   with separate dedupe state and speak queue per location.
+ * - Start times are wall-clock times at the location: each location's
+ *   time_zone (stored or inferred) decides both "today" and the fire time.
+ *   Locations without a known zone fall back to the server's local timezone.
+ * - The same tick fires enabled scheduled_announcements rows for each location
+ *   (fixed time of day, offsets from the first/last block, or one-off run_at).
  * ---------------------------------------------------------------------------
  */
 const SERVER_AUTO_ENABLED = true;
-const SERVER_AUTO_LEAD_MS = 3 * 60 * 1000;      // 3 minutes before class
 const SERVER_AUTO_CHECK_MS = 15 * 1000;         // check every 15 seconds
 const SERVER_AUTO_WINDOW_MS = 30 * 1000;        // fire if within this window
 
@@ -5420,71 +10100,222 @@ function parseLocalDateTimeMs(dateISO, timeHHMM) {
   return Number.isFinite(ms) ? ms : null;
 }
 
-async function runServerAutoAnnouncerTick() {
-  if (!SERVER_AUTO_ENABLED) return;
+function listAnnouncementLocations() {
+  return db.prepare(`
+    SELECT * FROM locations
+    WHERE active = 1 AND has_announcements = 1
+    ORDER BY id
+  `).all();
+}
 
-  const tpl = getAnnouncementTemplate("AUTO_TIME_BLOCK");
-  const enabled = tpl ? !!tpl.enabled : true;
-  if (!enabled) return;
+// Returns the default-language text plus one utterance per configured language.
+function renderAutoStageMessage(tpl, location, date, start_time) {
+  const vars = buildTemplateVars(location, date, start_time, { minutes: Math.abs(tpl.offset_minutes) });
+  const msg = renderTemplate(tpl.template, vars);
+  return { msg, utterances: renderTemplateUtterances(tpl, location.id, vars, msg) };
+}
 
-  const date = activeOrToday();
+// True when any language of the template uses a variable like {minutes_until}; its
+// text differs on every tick, so a pre-rendered WAV would never be played.
+function templateIsTimeVarying(tpl) {
+  const texts = [tpl?.template, ...Object.values(tpl?.variants || {})];
+  return texts.some((text) => Array.from(String(text || "").matchAll(TEMPLATE_TOKEN_RE))
+    .some((m) => TIME_VARYING_TEMPLATE_VARIABLES.has(m[2])));
+}
+
+// Synthesizes every auto stage for a date ahead of time so the live tick only plays cached WAVs.
+async function prerenderBlockAnnouncements(location, date) {
+  const stages = listAutoStageTemplates().filter((tpl) => !templateIsTimeVarying(tpl));
+  if (!stages.length || !location?.has_announcements) return { rendered: 0, cached: 0 };
+
+  const rows = db.prepare(`
+    SELECT DISTINCT start_time
+    FROM roster
+    WHERE date = ? AND location_id = ? AND start_time IS NOT NULL AND TRIM(start_time) != ''
+    ORDER BY start_time
+  `).all(date, location.id);
+
+  // Only synthesizing backends are worth warming; library files and "log" need no cache.
+  const backends = getLocationTtsBackends(location.id).filter((b) => TTS_BACKENDS[b].synthesize);
+  if (!backends.length) return { rendered: 0, cached: 0 };
+
+  let rendered = 0;
+  let cached = 0;
+  // One at a time: synthesis is CPU-heavy and the announcer box may be live.
+  for (const r of rows) {
+    for (const tpl of stages) {
+      const { msg, utterances } = renderAutoStageMessage(tpl, location, date, r.start_time);
+      if (!msg) continue;
+      for (const u of utterances) {
+        const out = await synthesizeUtterance(u.text, u.voice, { language: u.language, backends });
+        if (out.cached) cached++;
+        else rendered++;
+      }
+    }
+  }
+  console.log(`[TTS] ${location.code}: pre-rendered ${date} (${rendered} new, ${cached} already cached)`);
+  return { rendered, cached };
+}
+
+// Called after any roster import: warms today's remaining blocks and tomorrow's in the
+// background, one date after the other. Already-cached utterances cost nothing.
+function prerenderUpcomingBlocks(location) {
+  if (!location) return;
+  const today = todayISOInTimeZone(getLocationTimeZone(location));
+  (async () => {
+    for (const date of [today, addDaysISO(today, 1)]) {
+      await prerenderBlockAnnouncements(location, date);
+    }
+  })().catch((e) => console.warn(`[TTS] ${location.code}: pre-render failed:`, e?.message || e));
+}
+
+async function runLocationAutoAnnouncerTick(location, stages) {
+  const timeZone = getLocationTimeZone(location);
+  const date = todayISOInTimeZone(timeZone);
   const nowMs = Date.now();
 
-  // Distinct start times for the active date
+  // Distinct start times for this location's current date
   const rows = db.prepare(`
     SELECT DISTINCT start_time
     FROM roster
     WHERE date = ?
+      AND location_id = ?
       AND start_time IS NOT NULL
       AND TRIM(start_time) != ''
     ORDER BY start_time
-  `).all(date);
+  `).all(date, location.id);
 
   for (const r of (rows || [])) {
     const start_time = String(r.start_time || "").trim();
     if (!start_time) continue;
 
-    const startMs = parseLocalDateTimeMs(date, start_time);
+    const startMs = parseZonedDateTimeMs(date, start_time, timeZone);
     if (!startMs) continue;
 
-    const announceAtMs = startMs - SERVER_AUTO_LEAD_MS;
+    for (const tpl of stages) {
+      const announceAtMs = startMs + (tpl.offset_minutes * 60 * 1000);
+
+      // Skip if we're too early or too late
+      if (nowMs < announceAtMs) continue;
+      if (nowMs > (announceAtMs + SERVER_AUTO_WINDOW_MS)) continue;
+
+      const time12 = formatTime12h(start_time);
+      const { msg, utterances } = renderAutoStageMessage(tpl, location, date, start_time);
+
+      const cooldownMs = (Number(tpl.cooldown_seconds ?? 240) * 1000);
+      const dedupeKey = `${tpl.key}|${date}|${start_time}`;
 
-    // Skip if we're too early or too late
-    if (nowMs < announceAtMs) continue;
-    if (nowMs > (announceAtMs + SERVER_AUTO_WINDOW_MS)) continue;
+      try {
+        const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000, locationId: location.id, zones: tpl.zones, utterances, source: "auto", templateKey: tpl.key, triggeredBy: "server" });
+        if (out?.ok && !out?.skipped) {
+          console.log(`[AUTO] ${location.code}: ${tpl.key} (${tpl.offset_minutes} min) for ${date} ${start_time} (${time12}, ${timeZone || "server local"})`);
+        }
+      } catch (e) {
+        console.error(`[AUTO] ${location.code}: ${tpl.key} failed to announce:`, e?.stack || e?.message || e);
+      }
+    }
+  }
+}
+
+function getWeekdayForISODate(dateISO) {
+  const d = new Date(`${dateISO}T12:00:00Z`);
+  return Number.isFinite(d.getTime()) ? d.getUTCDay() : null;
+}
 
-    const time12 = formatTime12h(start_time);
+// Returns { fireAtMs, anchorTime } for a schedule on the given local date, or null.
+function resolveScheduledFireTime(schedule, location, date, timeZone) {
+  if (schedule.schedule_type === "once") {
+    const [runDate, runTime] = String(schedule.run_at || "").split("T");
+    const fireAtMs = parseZonedDateTimeMs(runDate, runTime, timeZone);
+    return fireAtMs ? { fireAtMs, anchorTime: runTime } : null;
+  }
+
+  if (schedule.days_of_week && !schedule.days_of_week.includes(getWeekdayForISODate(date))) return null;
 
-    // Optional: include a count of swimmers in this time block
-    const countRow = db.prepare(`
-      SELECT COUNT(*) AS c
+  let anchorTime = schedule.time_of_day;
+  if (schedule.anchor === "first_block" || schedule.anchor === "last_block") {
+    const row = db.prepare(`
+      SELECT MIN(start_time) AS first_start, MAX(start_time) AS last_start
       FROM roster
-      WHERE date = ? AND start_time = ?
-    `).get(date, start_time);
-    const c = countRow?.c || 0;
+      WHERE date = ? AND location_id = ? AND start_time IS NOT NULL AND TRIM(start_time) != ''
+    `).get(date, location.id);
+    anchorTime = schedule.anchor === "first_block" ? row?.first_start : row?.last_start;
+  }
+  if (!anchorTime) return null;
 
-    const msg = renderTemplate(
-      tpl?.template || "Parents and Guardians, the {time12} classes are about to begin. Please line your swimmers up at the pool entrance stairs.",
-      { time12, start_time, date, count: c }
-    );
+  const anchorMs = parseZonedDateTimeMs(date, anchorTime, timeZone);
+  if (!anchorMs) return null;
+  return { fireAtMs: anchorMs + (Number(schedule.offset_minutes || 0) * 60 * 1000), anchorTime };
+}
 
-    const cooldownMs = (Number(tpl?.cooldown_seconds ?? 240) * 1000);
-    const dedupeKey = `AUTO_TIME_BLOCK|${date}|${start_time}`;
+async function runLocationScheduledAnnouncementsTick(location) {
+  const schedules = listScheduledAnnouncements(location.id, { enabledOnly: true });
+  if (!schedules.length) return;
+
+  const timeZone = getLocationTimeZone(location);
+  const date = todayISOInTimeZone(timeZone);
+  const nowMs = Date.now();
+
+  for (const schedule of schedules) {
+    if (schedule.schedule_type === "once" && schedule.last_fired_at) continue;
+
+    const fire = resolveScheduledFireTime(schedule, location, date, timeZone);
+    if (!fire) continue;
+    if (nowMs < fire.fireAtMs) continue;
+    if (nowMs > (fire.fireAtMs + SERVER_AUTO_WINDOW_MS)) continue;
+
+    // Persisted so a restart inside the window does not repeat the announcement.
+    const lastFiredMs = schedule.last_fired_at ? Date.parse(schedule.last_fired_at) : NaN;
+    if (Number.isFinite(lastFiredMs) && lastFiredMs >= fire.fireAtMs) continue;
+
+    const tpl = schedule.template_key ? getAnnouncementTemplate(schedule.template_key) : null;
+    const vars = buildTemplateVars(location, date, fire.anchorTime);
+    const msg = renderTemplate(schedule.text || tpl?.template || "", vars);
+    if (!msg) continue;
+    // Custom text is spoken as typed; template-based schedules get every configured language.
+    const utterances = schedule.text ? null : renderTemplateUtterances(tpl, location.id, vars, msg);
+
+    db.prepare(`UPDATE scheduled_announcements SET last_fired_at = ? WHERE id = ?`).run(nowISO(), schedule.id);
 
     try {
-      const out = await speakAnnouncement(msg, { cooldownMs, dedupeKey, pingDelayMs: 2000 });
+      const out = await speakAnnouncement(msg, {
+        cooldownMs: SERVER_AUTO_WINDOW_MS * 2,
+        dedupeKey: `SCHEDULED|${schedule.id}|${date}`,
+        pingDelayMs: 2000,
+        locationId: location.id,
+        zones: schedule.zones || tpl?.zones,
+        utterances,
+        source: "scheduled",
+        templateKey: schedule.template_key,
+        triggeredBy: `schedule#${schedule.id}`
+      });
       if (out?.ok && !out?.skipped) {
-        console.log(`[AUTO] Announced time block ${date} ${start_time} (${time12})`);
+        console.log(`[AUTO] ${location.code}: scheduled announcement #${schedule.id} "${schedule.name}" fired`);
       }
     } catch (e) {
-      console.error("[AUTO] Failed to announce:", e?.stack || e?.message || e);
+      console.error(`[AUTO] ${location.code}: scheduled announcement #${schedule.id} failed:`, e?.stack || e?.message || e);
     }
   }
 }
 
+async function runServerAutoAnnouncerTick() {
+  if (!SERVER_AUTO_ENABLED) return;
+
+  const stages = listAutoStageTemplates();
+
+  // Locations run side by side so one site's speech never holds up another's.
+  await Promise.all(listAnnouncementLocations().map((location) => Promise.all([
+    stages.length ? runLocationAutoAnnouncerTick(location, stages) : null,
+    runLocationScheduledAnnouncementsTick(location)
+  ]).catch((e) => {
+    console.error(`[AUTO] ${location.code}: tick error:`, e?.stack || e?.message || e);
+  })));
+}
+
 function startServerAutoAnnouncer() {
   if (!SERVER_AUTO_ENABLED) return;
-  console.log(`[AUTO] Server-side auto announcer enabled: ${SERVER_AUTO_CHECK_MS}ms tick, lead ${SERVER_AUTO_LEAD_MS / 60000} minutes`);
+  const stageList = listAutoStageTemplates().map((t) => `${t.key} ${t.offset_minutes} min`).join(", ") || "none";
+  console.log(`[AUTO] Server-side auto announcer enabled: ${SERVER_AUTO_CHECK_MS}ms tick, stages: ${stageList}`);
   setInterval(() => {
     runServerAutoAnnouncerTick().catch((e) => {
       console.error("[AUTO] Tick error:", e?.stack || e?.message || e);
@@ -5494,3 +10325,7 @@ function startServerAutoAnnouncer() {
 
 // Start after the server has booted.
 startServerAutoAnnouncer();
+resumeEmergencyAlerts();
+resumeParentPages();
+startAnnouncerSelfTest();
+startRosterWatcher();
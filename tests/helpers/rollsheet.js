@@ -0,0 +1,90 @@
+'use strict';
+
+// Builds a minimal roll sheet in the iClassPro HTML layout that parseHTMLRoster reads:
+// one page-break section per class with its header table and a table-roll-sheet of
+// swimmers. Without date columns, rows take the date in the filename.
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// swimmers: [{ name: 'Last, First', age, icons: ['1st-ever.png'], balance: '25.00' }]
+// dateHeaders ('10/19/2026 4:00pm') add attendance columns that give each row its own date.
+function rollSheetSection({ time, instructor, zone = null, program = 'GROUP', capacity = 0, swimmers = [], dateHeaders = [] }) {
+  const rows = swimmers.map((s) => `
+          <tr>
+            <td><span class="student-name"><strong>${escapeHtml(s.name)}</strong></span><div class="student-info">${escapeHtml(s.age || '6y')}</div></td>
+            <td class="icons">${(s.icons || []).map((icon) => `<img src="https://app.iclasspro.com/images/rollsheet_icons/${icon}"/>`).join('')}</td>
+            <td class="cell-bordered"></td>
+            <td>${s.balance ? `Balance: $${s.balance}` : ''}</td>${dateHeaders.map(() => '<td></td>').join('')}
+          </tr>`).join('');
+  return `
+    <div style=" page-break-inside: avoid; ">
+      <div class="header">
+        <div class="full-width-header"><table><tr><td>${escapeHtml(program)} with ${escapeHtml(instructor)}</td></tr></table></div>
+        <table>
+          <tr><th>Schedule:</th><td>Mon: ${escapeHtml(time)}</td></tr>
+          <tr><th>Program:</th><td><span>${escapeHtml(program)}</span></td></tr>
+          <tr><th>Zone:</th><td>${zone ? `<span>Zone ${zone}</span>` : ''}</td></tr>
+          <tr><th>Capacity:</th><td>${capacity}</td></tr>
+          <tr><th>Instructors:</th><td><ul><li>${escapeHtml(instructor)}</li></ul></td></tr>
+        </table>
+      </div>
+      <table class="table-roll-sheet">
+        <thead><tr><th>Student</th><th></th><th>Attendance</th><th>Details</th>${dateHeaders.map((h) => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// location adds a "Location:" label, which the server uses to detect the sheet's location.
+function rollSheetHtml(sections, { location = null } = {}) {
+  return `<html>
+  <head><title>Roll Sheets</title></head>
+  <body>${sections.map(rollSheetSection).join('')}
+    ${location ? `<div>Location: ${escapeHtml(location)}</div>` : ''}
+  </body>
+</html>`;
+}
+
+// Local YYYY-MM-DD, matching the server's todayISO().
+function localDateISO(date = new Date()) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+// A one-page PDF with each line as text, enough for the server's PDF text extraction.
+function rollSheetPdf(lines) {
+  const esc = (t) => String(t).replace(/[\\()]/g, (c) => `\\${c}`);
+  const content = ['BT', '/F1 10 Tf', '12 TL', '40 800 Td', ...lines.map((l) => `(${esc(l)}) '`), 'ET'].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const at = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Multipart body for POST /api/upload-html and /api/upload-html/preview.
+function rollSheetForm(content, filename, fields = {}) {
+  const form = new FormData();
+  const type = /\.pdf$/i.test(filename) ? 'application/pdf' : 'text/html';
+  form.append('html', new Blob([content], { type }), filename);
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  return form;
+}
+
+module.exports = { rollSheetHtml, rollSheetPdf, rollSheetForm, localDateISO };
@@ -0,0 +1,114 @@
+'use strict';
+
+// Starts server.js as a child process against a throwaway data directory, so tests
+// exercise the real routes and schema without touching the repo's runtime folders.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function makeTempDir(prefix = 'announcer-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// env overrides the defaults below; pass `dir` to reuse a data directory across restarts.
+async function startServer({ env = {}, dir = null, timeoutMs = 20000 } = {}) {
+  const root = dir || makeTempDir();
+  const sub = (name) => {
+    const p = path.join(root, name);
+    fs.mkdirSync(p, { recursive: true });
+    return p;
+  };
+  const port = await freePort();
+  const childEnv = {
+    ...process.env,
+    PORT: String(port),
+    DATA_DIR: sub('data'),
+    DB_PATH: path.join(root, 'data', 'app.db'),
+    SCHEDULE_DIR: sub('schedules'),
+    EXPORT_DIR: sub('exports'),
+    MANAGER_REPORTS_DIR: sub('manager_reports'),
+    TTS_OUT_DIR: sub('tts_out'),
+    AUDIO_CLIPS_DIR: sub('clips'),
+    TTS_LIBRARY_DIR: sub('tts_library'),
+    ROSTER_WATCH_SECONDS: '0',
+    ANNOUNCER_SELF_TEST_MINUTES: '0',
+    TTS_BACKENDS: 'log',
+    ...env
+  };
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    env: childEnv,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let log = '';
+  child.stdout.on('data', (d) => { log += d; });
+  child.stderr.on('data', (d) => { log += d; });
+  const exited = new Promise((resolve) => child.on('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited during startup:\n${log}`);
+    try {
+      const res = await fetch(`${url}/api/status`);
+      if (res.ok) break;
+    } catch (_) { /* not listening yet */ }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`server did not start within ${timeoutMs} ms:\n${log}`);
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+
+  async function request(method, urlPath, body) {
+    const opts = { method, headers: {} };
+    if (body instanceof FormData) {
+      opts.body = body;
+    } else if (body !== undefined) {
+      opts.headers['Content-Type'] = 'application/json';
+      opts.body = JSON.stringify(body);
+    }
+    const res = await fetch(`${url}${urlPath}`, opts);
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) { /* not JSON */ }
+    return { status: res.status, body: json, text };
+  }
+
+  return {
+    url,
+    dir: root,
+    dbPath: childEnv.DB_PATH,
+    log: () => log,
+    get: (p) => request('GET', p),
+    post: (p, body) => request('POST', p, body),
+    put: (p, body) => request('PUT', p, body),
+    patch: (p, body) => request('PATCH', p, body),
+    del: (p, body) => request('DELETE', p, body),
+    async stop({ keepDir = !!dir } = {}) {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      if (!keepDir) fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer, makeTempDir };
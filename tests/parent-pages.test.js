@@ -0,0 +1,75 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  // Piper is the only backend and its binary is missing, so every play fails.
+  server = await startServer({ env: { TTS_BACKENDS: 'piper', PIPER_BIN_PATH: '/nonexistent/piper' } });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a page whose first play fails stays open and keeps its repeat', async () => {
+  const res = await server.post('/api/pages', { swimmer_name: 'Mia Lopez', location_id: 1 });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.ok, false);
+  assert.ok(res.body.page, 'error body carries the page');
+  assert.equal(res.body.page.status, 'open');
+  assert.ok(res.body.page.next_repeat_at, 'a repeat is scheduled');
+
+  const list = await server.get('/api/pages?location_id=1');
+  const page = list.body.pages.find((p) => p.id === res.body.page.id);
+  assert.ok(page.next_repeat_at, 'the repeat is still pending afterwards');
+});
+
+test('a second tap returns the open page instead of a new one', async () => {
+  const first = await server.get('/api/pages?location_id=1');
+  const again = await server.post('/api/pages', { swimmer_name: 'mia lopez', location_id: 1 });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.already_open, true);
+  assert.equal(again.body.page.id, first.body.pages[0].id);
+});
+
+test('closing the page cancels its repeat', async () => {
+  const { body } = await server.get('/api/pages?location_id=1');
+  const closed = await server.post(`/api/pages/${body.pages[0].id}/close`, { initials: 'AB' });
+  assert.equal(closed.status, 200);
+  assert.equal(closed.body.page.status, 'closed');
+  assert.equal(closed.body.page.next_repeat_at, null);
+});
+
+describe('escalation', () => {
+  let paged;
+
+  before(async () => {
+    // Escalate after one unanswered repeat; 30 s is the shortest repeat a page accepts.
+    paged = await startServer({ env: { PAGE_ESCALATE_AFTER: '1' } });
+  });
+
+  after(async () => {
+    await paged?.stop();
+  });
+
+  test('a page is not escalated by its first repeat', async () => {
+    const opened = await paged.post('/api/pages', { swimmer_name: 'Leo Park', location_id: 1, repeat_seconds: 30 });
+    assert.equal(opened.status, 200, opened.text);
+    const id = opened.body.page.id;
+
+    let page = null;
+    const deadline = Date.now() + 45000;
+    while (Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 500));
+      page = (await paged.get('/api/pages?location_id=1')).body.pages.find((p) => p.id === id);
+      if (page.repeat_count >= 1) break;
+    }
+    assert.equal(page.repeat_count, 1, 'the first repeat ran');
+    assert.equal(page.escalated_at, null);
+  });
+});
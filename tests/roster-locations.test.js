@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { startServer, makeTempDir } = require('./helpers/server');
+
+// The roster table as it was before rows were keyed by location.
+function createLegacyDb(dbPath) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE roster (
+      date TEXT NOT NULL,
+      start_time TEXT NOT NULL,
+      swimmer_name TEXT NOT NULL,
+      instructor_name TEXT,
+      zone INTEGER,
+      program TEXT,
+      age_text TEXT,
+      attendance INTEGER DEFAULT NULL,
+      attendance_at TEXT,
+      attendance_auto_absent INTEGER DEFAULT 0,
+      is_addon INTEGER DEFAULT 0,
+      flag_new INTEGER DEFAULT 0,
+      flag_makeup INTEGER DEFAULT 0,
+      flag_policy INTEGER DEFAULT 0,
+      flag_owes INTEGER DEFAULT 0,
+      flag_trial INTEGER DEFAULT 0,
+      created_at TEXT,
+      updated_at TEXT,
+      zone_overridden INTEGER DEFAULT 0,
+      zone_override_at TEXT,
+      zone_override_by TEXT,
+      location_id INTEGER DEFAULT 1,
+      PRIMARY KEY(date, start_time, swimmer_name)
+    );
+    CREATE UNIQUE INDEX uq_roster_key ON roster(date, start_time, swimmer_name);
+  `);
+  const insert = db.prepare(`
+    INSERT INTO roster (date, start_time, swimmer_name, instructor_name, zone, attendance, flag_new, zone_overridden, location_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  insert.run('2026-10-19', '16:00', 'Mia Lopez', 'Sam Reed', 2, 1, 1, 1, 1);
+  insert.run('2026-10-19', '16:30', 'Leo Park', 'Sam Reed', 3, null, 0, 0, 2);
+  insert.run('2026-10-20', '16:00', 'Ava Chen', null, null, 0, 0, 0, null);
+  db.close();
+}
+
+function inspectDb(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return {
+      rows: db.prepare(`SELECT date, start_time, swimmer_name, instructor_name, zone, attendance, flag_new, zone_overridden, location_id FROM roster ORDER BY date, start_time`).all(),
+      pk: db.prepare(`PRAGMA table_info(roster)`).all().filter((c) => c.pk > 0).sort((a, b) => a.pk - b.pk).map((c) => c.name),
+      uniqueKey: db.prepare(`PRAGMA index_info(uq_roster_key)`).all().map((c) => c.name),
+      indexes: db.prepare(`PRAGMA index_list(roster)`).all().map((i) => i.name)
+    };
+  } finally {
+    db.close();
+  }
+}
+
+describe('roster key migration', () => {
+  let dir;
+
+  before(() => {
+    dir = makeTempDir();
+    createLegacyDb(path.join(dir, 'data', 'app.db'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('rekeys the roster by location and keeps every row', async () => {
+    const server = await startServer({ dir });
+    await server.stop();
+    assert.match(server.log(), /Roster key migrated/);
+
+    const db = inspectDb(server.dbPath);
+    assert.deepEqual(db.pk, ['location_id', 'date', 'start_time', 'swimmer_name']);
+    assert.deepEqual(db.uniqueKey, ['location_id', 'date', 'start_time', 'swimmer_name']);
+    assert.ok(db.indexes.includes('idx_roster_date_time'));
+    assert.deepEqual(db.rows, [
+      { date: '2026-10-19', start_time: '16:00', swimmer_name: 'Mia Lopez', instructor_name: 'Sam Reed', zone: 2, attendance: 1, flag_new: 1, zone_overridden: 1, location_id: 1 },
+      { date: '2026-10-19', start_time: '16:30', swimmer_name: 'Leo Park', instructor_name: 'Sam Reed', zone: 3, attendance: null, flag_new: 0, zone_overridden: 0, location_id: 2 },
+      // Rows written before location_id existed belong to the first location.
+      { date: '2026-10-20', start_time: '16:00', swimmer_name: 'Ava Chen', instructor_name: null, zone: null, attendance: 0, flag_new: 0, zone_overridden: 0, location_id: 1 }
+    ]);
+  });
+
+  test('does nothing on the next start', async () => {
+    const before = inspectDb(path.join(dir, 'data', 'app.db'));
+    const server = await startServer({ dir });
+    await server.stop();
+    assert.doesNotMatch(server.log(), /Roster key migrated/);
+    assert.deepEqual(inspectDb(server.dbPath), before);
+  });
+
+  test('lets two locations hold the same swimmer at the same time', async () => {
+    const db = new Database(path.join(dir, 'data', 'app.db'));
+    try {
+      db.prepare(`INSERT INTO roster (date, start_time, swimmer_name, location_id) VALUES (?, ?, ?, ?)`)
+        .run('2026-10-19', '16:00', 'Mia Lopez', 2);
+      const count = db.prepare(`SELECT COUNT(*) AS n FROM roster WHERE swimmer_name = 'Mia Lopez'`).get().n;
+      assert.equal(count, 2);
+    } finally {
+      db.close();
+    }
+  });
+});
+
+describe('roster writes are scoped to a location', () => {
+  let server;
+  const swimmer = { start_time: '16:00', swimmer_name: 'Mia Lopez' };
+
+  before(async () => {
+    server = await startServer();
+    const added = await server.post('/api/add-swimmer', { ...swimmer, zone: 2, location_id: 1 });
+    assert.equal(added.status, 200, added.text);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const routes = [
+    ['/api/update-flags', { flags: { flag_new: true } }],
+    ['/api/attendance', { attendance: 1 }],
+    ['/api/update-zone', { new_zone: 3 }],
+    ['/api/remove-addon', { initials: 'AB' }]
+  ];
+
+  for (const [route, extra] of routes) {
+    test(`${route} needs a location_id`, async () => {
+      const res = await server.post(route, { ...swimmer, ...extra });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'missing or unknown location_id');
+    });
+
+    test(`${route} does not touch another location's row`, async () => {
+      const res = await server.post(route, { ...swimmer, ...extra, location_id: 2 });
+      assert.equal(res.status, 404);
+    });
+  }
+
+  test('/api/attendance/bulk and /api/add-swimmer need a location_id', async () => {
+    for (const route of ['/api/attendance/bulk', '/api/add-swimmer']) {
+      const res = await server.post(route, { ...swimmer, initials: 'AB' });
+      assert.equal(res.status, 400, route);
+      assert.equal(res.body.error, 'missing or unknown location_id', route);
+    }
+  });
+
+  test('the row at its own location is unchanged', async () => {
+    const res = await server.get(`/api/blocks/${swimmer.start_time}?location_id=1`);
+    const row = res.body.kids.find((r) => r.swimmer_name === swimmer.swimmer_name);
+    assert.ok(row, res.text);
+    assert.equal(row.zone, 2);
+    assert.equal(row.attendance, null);
+    assert.equal(row.flag_new, 0);
+  });
+});
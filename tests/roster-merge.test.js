@@ -0,0 +1,165 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { startServer } = require('./helpers/server');
+const { rollSheetHtml, rollSheetForm, localDateISO } = require('./helpers/rollsheet');
+
+// Merge only touches rows dated today or later, so the sheets are dated today.
+const today = localDateISO();
+const filename = `roll_sheet_${today}.html`;
+
+const firstSheet = rollSheetHtml([
+  {
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2,
+    swimmers: [
+      { name: 'Lopez, Mia' },
+      { name: 'Park, Leo' },
+      { name: 'Chen, Ava' },
+      { name: 'Kim, Noah', icons: ['1st-ever.png'] }
+    ]
+  },
+  { time: '4:30pm', instructor: 'Diaz, Ana', zone: 3, swimmers: [{ name: 'Hart, Zoe' }, { name: 'Bell, Max' }] }
+]);
+
+// Mia gets a balance and her name in capitals, Leo and Max are dropped, Ivy is new
+// and Zoe moves to 5:00. Ava and Noah are listed as before.
+const secondSheet = rollSheetHtml([
+  {
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2,
+    swimmers: [
+      { name: 'LOPEZ, MIA', balance: '25.00' },
+      { name: 'Chen, Ava' },
+      { name: 'Kim, Noah', icons: ['1st-ever.png'] },
+      { name: 'Stone, Ivy' }
+    ]
+  },
+  { time: '5:00pm', instructor: 'Diaz, Ana', zone: 3, swimmers: [{ name: 'Hart, Zoe' }] }
+]);
+
+let server;
+
+function rosterRows() {
+  const db = new Database(server.dbPath, { readonly: true });
+  try {
+    const rows = db.prepare(`SELECT * FROM roster WHERE location_id = 1 AND date = ? ORDER BY start_time, swimmer_name`).all(today);
+    return new Map(rows.map((r) => [r.swimmer_name, r]));
+  } finally {
+    db.close();
+  }
+}
+
+async function staffEdit(route, body) {
+  const res = await server.post(route, { location_id: 1, ...body });
+  assert.equal(res.status, 200, `${route}: ${res.text}`);
+}
+
+before(async () => {
+  server = await startServer();
+  const first = await server.post('/api/upload-html', rollSheetForm(firstSheet, filename, { location_id: 1 }));
+  assert.equal(first.status, 200, first.text);
+
+  // What staff do on deck between the two uploads.
+  await staffEdit('/api/attendance', { start_time: '16:00', swimmer_name: 'Mia Lopez', attendance: 1 });
+  await staffEdit('/api/attendance', { start_time: '16:00', swimmer_name: 'Leo Park', attendance: 0 });
+  await staffEdit('/api/attendance', { start_time: '16:30', swimmer_name: 'Zoe Hart', attendance: 1 });
+  await staffEdit('/api/update-zone', { start_time: '16:00', swimmer_name: 'Ava Chen', new_zone: 4 });
+  await staffEdit('/api/update-flags', { start_time: '16:00', swimmer_name: 'Noah Kim', flags: { flag_new: false, flag_trial: true } });
+  await staffEdit('/api/add-swimmer', { start_time: '16:00', swimmer_name: 'Eli Ross', zone: 2 });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('preview sorts every row of the re-upload into a diff category', async () => {
+  const res = await server.post('/api/upload-html/preview', rollSheetForm(secondSheet, filename, { location_id: 1 }));
+  assert.equal(res.status, 200, res.text);
+  const { diff } = res.body;
+
+  assert.deepEqual(diff.dates, [today]);
+  assert.deepEqual(diff.counts, { added: 1, removed: 1, removed_kept: 1, moved: 1, changed: 1, unchanged: 2 });
+
+  assert.deepEqual(diff.added.map((r) => r.swimmer_name), ['Ivy Stone']);
+
+  const removed = Object.fromEntries(diff.removed.map((r) => [r.swimmer_name, r]));
+  assert.equal(removed['Max Bell'].kept, false);
+  // Attendance was taken, so the row stays.
+  assert.equal(removed['Leo Park'].kept, true);
+  assert.equal(removed['Leo Park'].attendance, 0);
+
+  assert.equal(diff.moved.length, 1);
+  assert.equal(diff.moved[0].swimmer_name, 'Zoe Hart');
+  assert.equal(diff.moved[0].from_start_time, '16:30');
+  assert.equal(diff.moved[0].start_time, '17:00');
+  assert.equal(diff.moved[0].attendance, 1);
+
+  // Capitals in the sheet still match the existing row.
+  assert.equal(diff.changed.length, 1);
+  assert.match(diff.changed[0].swimmer_name, /^mia lopez$/i);
+  assert.deepEqual(diff.changed[0].changes.balance_amount, { from: null, to: 25 });
+  assert.deepEqual(diff.changed[0].changes.flag_owes, { from: 0, to: 1 });
+
+  // Add-ons are never part of the diff.
+  const listed = [...diff.added, ...diff.removed, ...diff.moved, ...diff.changed].map((r) => r.swimmer_name);
+  assert.ok(!listed.includes('Eli Ross'));
+});
+
+test('merge applies the diff and keeps what staff entered', async () => {
+  const res = await server.post('/api/upload-html', rollSheetForm(secondSheet, filename, { location_id: 1, mode: 'merge' }));
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.mode, 'merge');
+  assert.deepEqual(res.body.merged, { added: 1, moved: 1, changed: 1, removed: 1, removed_kept: 1 });
+
+  const rows = rosterRows();
+  assert.deepEqual([...rows.keys()].sort(), ['Ava Chen', 'Eli Ross', 'Ivy Stone', 'Leo Park', 'Mia Lopez', 'Noah Kim', 'Zoe Hart']);
+
+  // Changed: the import fields update, attendance and the stored spelling stay.
+  const mia = rows.get('Mia Lopez');
+  assert.equal(mia.attendance, 1);
+  assert.equal(mia.balance_amount, 25);
+  assert.equal(mia.flag_owes, 1);
+
+  // Moved: new time, same attendance.
+  const zoe = rows.get('Zoe Hart');
+  assert.equal(zoe.start_time, '17:00');
+  assert.equal(zoe.attendance, 1);
+
+  // Removed from the sheet but attendance was taken.
+  assert.equal(rows.get('Leo Park').attendance, 0);
+  assert.ok(!rows.has('Max Bell'));
+
+  // Zone override and hand-edited flags win over the sheet.
+  const ava = rows.get('Ava Chen');
+  assert.equal(ava.zone, 4);
+  assert.equal(ava.zone_overridden, 1);
+  const noah = rows.get('Noah Kim');
+  assert.equal(noah.flag_new, 0);
+  assert.equal(noah.flag_trial, 1);
+  assert.equal(noah.flags_overridden, 1);
+
+  // The add-on stays an add-on.
+  assert.equal(rows.get('Eli Ross').is_addon, 1);
+
+  const ivy = rows.get('Ivy Stone');
+  assert.equal(ivy.start_time, '16:00');
+  assert.equal(ivy.zone, 2);
+  assert.equal(ivy.attendance, null);
+});
+
+test('merging the same sheet again changes nothing', async () => {
+  const before = rosterRows();
+  const res = await server.post('/api/upload-html', rollSheetForm(secondSheet, filename, { location_id: 1, mode: 'merge' }));
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body.merged, { added: 0, moved: 0, changed: 0, removed: 0, removed_kept: 1 });
+  assert.equal(res.body.diff.counts.unchanged, 5);
+
+  const after = rosterRows();
+  for (const [name, row] of before) {
+    const { updated_at: _a, ...was } = row;
+    const { updated_at: _b, ...now } = after.get(name);
+    assert.deepEqual(now, was, name);
+  }
+});
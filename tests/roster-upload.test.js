@@ -0,0 +1,104 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { startServer } = require('./helpers/server');
+const { rollSheetHtml, rollSheetPdf, rollSheetForm, localDateISO } = require('./helpers/rollsheet');
+
+const filename = `roll_sheet_${localDateISO()}.html`;
+// Names SwimLabs Woodlands (location 2) in its "Location:" label.
+const woodlandsSheet = rollSheetHtml([
+  { time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers: [{ name: 'Lopez, Mia' }] }
+], { location: 'SwimLabs Woodlands' });
+
+let server;
+
+function savedScheduleFiles() {
+  const found = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) walk(path.join(dir, entry.name));
+      else found.push(entry.name);
+    }
+  };
+  walk(path.join(server.dir, 'schedules'));
+  return found;
+}
+
+function rosterCount(locationId) {
+  const db = new Database(server.dbPath, { readonly: true });
+  try {
+    return db.prepare(`SELECT COUNT(*) AS n FROM roster WHERE location_id = ?`).get(locationId).n;
+  } finally {
+    db.close();
+  }
+}
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('an unknown location_id is rejected instead of using the detected location', async () => {
+  for (const route of ['/api/upload-html/preview', '/api/upload-html']) {
+    const res = await server.post(route, rollSheetForm(woodlandsSheet, filename, { location_id: 99 }));
+    assert.equal(res.status, 400, route);
+    assert.equal(res.body.error, 'Invalid location', route);
+  }
+  assert.equal(rosterCount(2), 0);
+  assert.deepEqual(savedScheduleFiles(), []);
+});
+
+test('a sheet with no swimmers is not saved or recorded', async () => {
+  const empty = rollSheetHtml([{ time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers: [] }]);
+  const res = await server.post('/api/upload-html', rollSheetForm(empty, filename, { location_id: 1 }));
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /No swimmers found/);
+  assert.deepEqual(savedScheduleFiles(), []);
+
+  const db = new Database(server.dbPath, { readonly: true });
+  try {
+    assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM roster_watch_files`).get().n, 0);
+  } finally {
+    db.close();
+  }
+});
+
+test('without a location_id the sheet goes to the location it names', async () => {
+  const res = await server.post('/api/upload-html', rollSheetForm(woodlandsSheet, filename));
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.location, 'SwimLabs Woodlands');
+  assert.equal(rosterCount(2), 1);
+  assert.equal(savedScheduleFiles().length, 1);
+});
+
+test('/api/import-today replaces by default, merges on request and falls back to the first location', async () => {
+  const [y, m, d] = localDateISO().split('-');
+  fs.writeFileSync(path.join(server.dir, 'schedules', `Roll_Sheets_${m}-${d}-${y}.pdf`), rollSheetPdf([
+    'Schedule: Mon 4:00pm Instructors: Reed, Sam Program: GROUP Zone: Zone 2',
+    '1 Lopez, Mia',
+    '6y'
+  ]));
+
+  const bad = await server.post('/api/import-today', { mode: 'append' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, 'mode must be replace or merge');
+
+  const replaced = await server.post('/api/import-today', {});
+  assert.equal(replaced.status, 200, replaced.text);
+  assert.equal(replaced.body.mode, 'replace');
+  assert.equal(replaced.body.location, 'SwimLabs Westchester');
+  assert.equal(rosterCount(1), 1);
+
+  const merged = await server.post('/api/import-today', { location_id: 1, mode: 'merge' });
+  assert.equal(merged.status, 200, merged.text);
+  assert.equal(merged.body.mode, 'merge');
+  assert.equal(merged.body.diff.counts.unchanged, 1);
+});
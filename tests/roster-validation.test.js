@@ -0,0 +1,105 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const { rollSheetHtml, rollSheetPdf, rollSheetForm } = require('./helpers/rollsheet');
+
+const year = new Date().getFullYear();
+const swimmers = [{ name: 'Lopez, Mia' }, { name: 'Park, Leo' }];
+
+let server;
+
+async function preview(content, filename) {
+  const res = await server.post('/api/upload-html/preview', rollSheetForm(content, filename, { location_id: 1 }));
+  assert.equal(res.status, 200, res.text);
+  return res.body.validation;
+}
+
+const skippedChecks = (validation) => validation.checks_skipped.map((c) => c.check).sort();
+const dateIssues = (validation) => validation.issues.filter((i) => i.type === 'date_out_of_range');
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('rows are checked against the sheet date when the report has no date filter', async () => {
+  const html = rollSheetHtml([{
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers,
+    dateHeaders: ['10/19/2026 4:00pm', '10/20/2026 4:00pm']
+  }]);
+  const validation = await preview(html, 'roll_sheet_2026-10-19.html');
+  const issues = dateIssues(validation);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].date, '2026-10-20');
+  assert.equal(issues[0].swimmers, 2);
+  assert.equal(issues[0].expected_source, 'sheet');
+  assert.match(issues[0].message, /outside the sheet date \(2026-10-19\)/);
+  assert.deepEqual(validation.checks_skipped, []);
+});
+
+test("the report's own date filter wins over the sheet date", async () => {
+  const html = rollSheetHtml([{
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers,
+    dateHeaders: ['10/19/2026 4:00pm', '10/20/2026 4:00pm', '10/27/2026 4:00pm']
+  }]).replace('<body>', '<body><script>const filters = {"startDate":"2026-10-19 00:00:00","endDate":"2026-10-25 23:59:00"}</script>');
+  const issues = dateIssues(await preview(html, 'roll_sheet_2026-10-19.html'));
+  assert.deepEqual(issues.map((i) => [i.date, i.expected_source]), [['2026-10-27', 'report']]);
+});
+
+test('without any date to compare with, the report says the date check did not run', async () => {
+  // Headers without a year do not count as a sheet date, and no manager range is set yet.
+  const html = rollSheetHtml([{
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers,
+    dateHeaders: ['10/19 4:00pm', '11/02 4:00pm']
+  }]);
+  const validation = await preview(html, 'Roll Sheets.html');
+  assert.deepEqual(dateIssues(validation), []);
+  assert.deepEqual(skippedChecks(validation), ['date_out_of_range']);
+  assert.match(validation.checks_skipped[0].message, /Dates not checked/);
+});
+
+test('the manager date range is used when the sheet has no date', async () => {
+  const saved = await server.post('/api/manager-date-range', { start: `${year}-10-01`, end: `${year}-10-31` });
+  assert.equal(saved.status, 200, saved.text);
+
+  const html = rollSheetHtml([{
+    time: '4:00pm', instructor: 'Reed, Sam', zone: 2, swimmers,
+    dateHeaders: ['10/19 4:00pm', '11/02 4:00pm']
+  }]);
+  const validation = await preview(html, 'Roll Sheets.html');
+  const issues = dateIssues(validation);
+  assert.deepEqual(issues.map((i) => [i.date, i.expected_source]), [[`${year}-11-02`, 'manager_range']]);
+  assert.match(issues[0].message, /outside the manager date range/);
+  assert.deepEqual(validation.checks_skipped, []);
+});
+
+test('a PDF roll sheet reports the section checks it cannot run', async () => {
+  const pdf = rollSheetPdf([
+    'Schedule: Mon 4:00pm Instructors: Reed, Sam Program: GROUP Zone: Zone 2',
+    '1 Lopez, Mia',
+    '6y'
+  ]);
+  const validation = await preview(pdf, 'roll_sheet_2026-10-19.pdf');
+  assert.equal(validation.swimmers, 1);
+  assert.deepEqual(skippedChecks(validation), ['over_capacity', 'section_skipped', 'zone_defaulted']);
+});
+
+test('missing ages and instructors are reported once per date', async () => {
+  const html = rollSheetHtml([{
+    time: '4:00pm', instructor: '', zone: 2, swimmers: [{ name: 'Lopez, Mia', age: ' ' }],
+    dateHeaders: ['10/19/2026 4:00pm', '10/20/2026 4:00pm']
+  }]);
+  const { issues } = await preview(html, 'roll_sheet_2026-10-19.html');
+  const missingAge = issues.filter((i) => i.type === 'missing_age');
+  assert.deepEqual(missingAge.map((i) => i.date).sort(), ['2026-10-19', '2026-10-20']);
+  assert.match(missingAge[0].message, / on 2026-10-(19|20)\) has no age$/);
+  const noInstructor = issues.filter((i) => i.type === 'no_instructor');
+  assert.deepEqual(noInstructor.map((i) => i.date).sort(), ['2026-10-19', '2026-10-20']);
+  assert.match(noInstructor[0].message, /at 4 PM on 2026-10-(19|20) have no instructor$/);
+});